@@ -0,0 +1,33 @@
+// backfillPostSlugs.js - Give posts created before slugs existed their slug
+// Usage: node backfillPostSlugs.js
+// Safe to run repeatedly; posts that already have a slug are skipped.
+const Post = require('./models/Post');
+const mongoose = require('mongoose');
+const { resolvePostSlug } = require('./utils/slugs');
+require('dotenv').config(); // Load environment variables
+
+async function backfillPostSlugs() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const posts = await Post.find({ $or: [{ slug: { $exists: false } }, { slug: null }] })
+      .select('title_en title_np slug slugHistory')
+      .sort('createdAt');
+
+    // Oldest posts first, so they keep the un-suffixed slug
+    for (const post of posts) {
+      const slugFields = await resolvePostSlug(Post, post);
+      await Post.updateOne({ _id: post._id }, { $set: slugFields });
+      console.log(`${post._id} → ${slugFields.slug}`);
+    }
+
+    console.log(`Backfilled slugs for ${posts.length} post(s)`);
+  } catch (error) {
+    console.error('Error backfilling post slugs:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+backfillPostSlugs();
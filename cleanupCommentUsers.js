@@ -0,0 +1,42 @@
+// cleanupCommentUsers.js - Remove the placeholder accounts old comments created
+// Usage: node cleanupCommentUsers.js [--dry-run]
+// Comments used to create a User (<name>@temp.com / "temppassword") for every new
+// commenter name. Their comments are kept as guest comments and the accounts deleted.
+// Run after migrateEmbeddedComments.js.
+const User = require('./models/User');
+const Comment = require('./models/Comment');
+const mongoose = require('mongoose');
+require('dotenv').config(); // Load environment variables
+
+async function cleanupCommentUsers() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const placeholders = await User.find({ email: /@temp\.com$/, role: 'user' }).select('name email');
+    console.log(`Found ${placeholders.length} placeholder account(s)`);
+
+    for (const user of placeholders) {
+      if (dryRun) {
+        console.log(`Would remove ${user.email}`);
+        continue;
+      }
+
+      // Keep the display name on the comment, drop the account link
+      await Comment.updateMany(
+        { user: user._id },
+        { $set: { userName: user.name, user: null } }
+      );
+      await User.deleteOne({ _id: user._id });
+      console.log(`Removed ${user.email}`);
+    }
+  } catch (error) {
+    console.error('Error cleaning up comment users:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+cleanupCommentUsers();
@@ -0,0 +1,79 @@
+/**
+ * Authentication Policy Configuration
+ * -----------------------------------
+ * Environment-driven switches that decide how strictly accounts are
+ * treated at login and by the `protect` middleware.
+ */
+
+const { ADMIN_ROLES } = require('./roles');
+
+// ============================================================
+// ✉️ EMAIL VERIFICATION
+// ============================================================
+// EMAIL_VERIFICATION_POLICY:
+//  - block (default) → unverified accounts cannot log in or use protected routes
+//  - grace           → allowed for EMAIL_VERIFICATION_GRACE_HOURS after registering
+//  - allow           → verification is optional
+
+const EMAIL_VERIFICATION_POLICIES = ['block', 'grace', 'allow'];
+
+const emailVerificationPolicy = () => {
+  const policy = process.env.EMAIL_VERIFICATION_POLICY || 'block';
+  return EMAIL_VERIFICATION_POLICIES.includes(policy) ? policy : 'block';
+};
+
+/**
+ * Check whether a user may sign in / use the API given their
+ * verification state and the configured policy.
+ */
+const isEmailVerificationSatisfied = (user) => {
+  if (user.isEmailVerified) return true;
+
+  const policy = emailVerificationPolicy();
+  if (policy === 'allow') return true;
+
+  if (policy === 'grace') {
+    const graceHours = parseInt(process.env.EMAIL_VERIFICATION_GRACE_HOURS, 10) || 24;
+    const createdAt = user.createdAt ? new Date(user.createdAt).getTime() : 0;
+    return Date.now() - createdAt < graceHours * 60 * 60 * 1000;
+  }
+
+  return false;
+};
+
+// ============================================================
+// 🔒 LOGIN THROTTLING & LOCKOUT
+// ============================================================
+
+const intFromEnv = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+const loginProtection = () => ({
+  // Failed attempts on one account before it is temporarily locked
+  maxAccountAttempts: intFromEnv('LOGIN_MAX_ATTEMPTS', 5),
+  lockMinutes: intFromEnv('LOGIN_LOCK_MINUTES', 15),
+  // Failed attempts from one IP (any account) within the window before it is blocked
+  maxIpAttempts: intFromEnv('LOGIN_MAX_IP_ATTEMPTS', 20),
+  ipWindowMinutes: intFromEnv('LOGIN_IP_WINDOW_MINUTES', 15),
+  // Progressive delay: baseDelayMs doubled per previous failure, capped at maxDelayMs
+  baseDelayMs: intFromEnv('LOGIN_BASE_DELAY_MS', 250),
+  maxDelayMs: intFromEnv('LOGIN_MAX_DELAY_MS', 5000)
+});
+
+// ============================================================
+// 📱 TWO-FACTOR AUTHENTICATION
+// ============================================================
+// REQUIRE_ADMIN_2FA=true makes TOTP mandatory for admin accounts
+// (both `admin` and `superAdmin`). Until they enroll, such accounts can
+// only reach the 2FA setup endpoints.
+
+const isTwoFactorRequired = (user) => {
+  return process.env.REQUIRE_ADMIN_2FA === 'true' && ADMIN_ROLES.includes(user.role);
+};
+
+module.exports = {
+  EMAIL_VERIFICATION_POLICIES,
+  emailVerificationPolicy,
+  isEmailVerificationSatisfied,
+  loginProtection,
+  isTwoFactorRequired
+};
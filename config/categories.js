@@ -0,0 +1,22 @@
+/**
+ * Default Post Categories
+ * -----------------------
+ * The categories posts used while they were a hard-coded enum. They now live
+ * in the Category collection (see models/Category.js, managed through
+ * /api/categories); this list only seeds it (see migrateCategories.js).
+ */
+
+const DEFAULT_CATEGORIES = [
+  { key: 'technology', name_en: 'Technology', name_np: 'प्रविधि' },
+  { key: 'digitalTransformation', name_en: 'Digital Transformation', name_np: 'डिजिटल रूपान्तरण' },
+  { key: 'socialJustice', name_en: 'Social Justice', name_np: 'सामाजिक न्याय' },
+  { key: 'events', name_en: 'Events', name_np: 'कार्यक्रम' },
+  { key: 'innovation', name_en: 'Innovation', name_np: 'नवप्रवर्तन' },
+  { key: 'policy', name_en: 'Policy', name_np: 'नीति' },
+  { key: 'education', name_en: 'Education', name_np: 'शिक्षा' },
+  { key: 'startups', name_en: 'Startups', name_np: 'स्टार्टअप' }
+];
+
+module.exports = {
+  DEFAULT_CATEGORIES
+};
@@ -0,0 +1,78 @@
+/**
+ * Comment Moderation Configuration
+ * --------------------------------
+ * Comment statuses and the environment-driven rules that decide whether a
+ * new comment is published straight away, queued for a moderator or
+ * filed as spam, plus thread depth and author edit limits.
+ */
+
+// ============================================================
+// 🏷️ STATUSES
+// ============================================================
+
+const COMMENT_STATUSES = ['pending', 'approved', 'rejected', 'spam'];
+
+// Public shape of a comment (guest email, IP hash and moderation data stay private).
+// Deleted comments that still have replies are shown as empty placeholders.
+const publicCommentView = (comment) => {
+  const deleted = Boolean(comment.deletedAt);
+
+  return {
+    _id: comment._id,
+    parent: comment.parent || null,
+    depth: comment.depth || 0,
+    user: deleted ? null : comment.user || null,
+    userName: deleted ? null : comment.userName,
+    text: deleted ? null : comment.text,
+    replyCount: comment.replyCount || 0,
+    edited: Boolean(comment.editedAt),
+    deleted,
+    createdAt: comment.createdAt
+  };
+};
+
+// ============================================================
+// ✅ AUTO-APPROVAL RULES
+// ============================================================
+// COMMENT_AUTO_APPROVE:
+//  - trusted (default) → approve signed-in users and guests who send the edit
+//                        token of an approved comment posted with their email;
+//                        queue everyone else
+//  - all               → approve everything the spam filter lets through
+//  - none              → every comment waits for a moderator
+// Moderators' own comments are always approved.
+
+const AUTO_APPROVE_MODES = ['none', 'trusted', 'all'];
+
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const commentModeration = () => {
+  const autoApprove = process.env.COMMENT_AUTO_APPROVE || 'trusted';
+
+  return {
+    autoApprove: AUTO_APPROVE_MODES.includes(autoApprove) ? autoApprove : 'trusted',
+    // More links than this marks a comment as spam
+    maxLinks: intFromEnv('COMMENT_MAX_LINKS', 2),
+    // Comma-separated words/phrases that mark a comment as spam
+    blocklist: (process.env.COMMENT_BLOCKLIST || '')
+      .split(',')
+      .map((word) => word.trim().toLowerCase())
+      .filter(Boolean),
+    // Distinct reports that send an approved comment back to the queue
+    reportThreshold: intFromEnv('COMMENT_REPORT_THRESHOLD', 3),
+    // How long authors may edit or delete their own comment
+    editWindowMinutes: intFromEnv('COMMENT_EDIT_WINDOW_MINUTES', 15),
+    // Deepest reply level (top-level comments are depth 0)
+    maxDepth: intFromEnv('COMMENT_MAX_DEPTH', 4)
+  };
+};
+
+module.exports = {
+  COMMENT_STATUSES,
+  AUTO_APPROVE_MODES,
+  publicCommentView,
+  commentModeration
+};
@@ -1,9 +1,10 @@
 /**
  * Multer Configuration for Cloudinary Uploads
  * -------------------------------------------
- * Handles two main upload types:
+ * Handles three upload types:
  *  - Posts (single image)
  *  - Members (multiple documents & images)
+ *  - User avatars (single image)
  */
 
 const multer = require('multer');
@@ -80,6 +81,31 @@ const memberUploader = multer({
   },
 });
 
+// ============================================================
+// 🙂 CLOUDINARY STORAGE FOR USER AVATARS
+// ============================================================
+
+const avatarStorage = new CloudinaryStorage({
+  cloudinary,
+  params: {
+    folder: 'ictforum/avatars',
+    allowed_formats: ['jpg', 'jpeg', 'png', 'webp'],
+    transformation: [{ width: 400, height: 400, crop: 'fill', gravity: 'face' }],
+    public_id: (req, file) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
+      return `avatar-${req.user ? req.user._id : 'user'}-${uniqueSuffix}`;
+    },
+  },
+});
+
+// Multer instance for avatar uploads
+const avatarUploader = multer({
+  storage: avatarStorage,
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB limit
+  },
+});
+
 // ============================================================
 // 🚀 UPLOAD MIDDLEWARE EXPORTS
 // ============================================================
@@ -95,6 +121,9 @@ const memberUpload = memberUploader.fields([
   { name: 'resume', maxCount: 1 },
 ]);
 
+// For single avatar upload → req.file
+const avatarUpload = avatarUploader.single('avatar');
+
 // ============================================================
 // 🧾 EXPORT CONFIGS
 // ============================================================
@@ -102,6 +131,8 @@ const memberUpload = memberUploader.fields([
 module.exports = {
   upload,        // post upload middleware
   memberUpload,  // member multi-field upload
+  avatarUpload,  // user avatar upload
   postUploader,  // raw post multer instance (optional)
-  memberUploader // raw member multer instance (optional)
+  memberUploader, // raw member multer instance (optional)
+  avatarUploader // raw avatar multer instance (optional)
 };
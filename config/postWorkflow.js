@@ -0,0 +1,58 @@
+/**
+ * Post Editorial Workflow
+ * -----------------------
+ * draft → inReview → approved → published, with reviewers able to send a
+ * post back (changesRequested) and publishers able to unpublish it again.
+ * Each transition names the permission (see config/roles.js) it requires.
+ */
+
+const WORKFLOW_STATES = ['draft', 'inReview', 'changesRequested', 'approved', 'published'];
+
+// from → { to: permission }
+const TRANSITIONS = {
+  draft: {
+    inReview: 'posts:submit',
+    published: 'posts:publish'
+  },
+  inReview: {
+    draft: 'posts:submit', // author withdraws the submission
+    changesRequested: 'posts:review',
+    approved: 'posts:review',
+    published: 'posts:publish'
+  },
+  changesRequested: {
+    inReview: 'posts:submit',
+    published: 'posts:publish'
+  },
+  approved: {
+    changesRequested: 'posts:review',
+    published: 'posts:publish'
+  },
+  published: {
+    draft: 'posts:publish'
+  }
+};
+
+// States in which a post's author (without review rights) may still edit it
+const AUTHOR_EDITABLE_STATES = ['draft', 'changesRequested'];
+
+/**
+ * Permission needed to move a post from one state to another,
+ * or null when the transition is not allowed at all.
+ */
+const transitionPermission = (from, to) => {
+  return (TRANSITIONS[from] && TRANSITIONS[from][to]) || null;
+};
+
+/**
+ * Workflow state of a post, deriving one for posts created before the workflow existed.
+ */
+const workflowStateOf = (post) => post.workflowState || (post.published ? 'published' : 'draft');
+
+module.exports = {
+  WORKFLOW_STATES,
+  TRANSITIONS,
+  AUTHOR_EDITABLE_STATES,
+  transitionPermission,
+  workflowStateOf
+};
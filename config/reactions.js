@@ -0,0 +1,21 @@
+/**
+ * Post Reactions
+ * --------------
+ * Reaction types visitors can give a post. Each visitor (signed-in user or
+ * signed anonymous visitor id) can give each type at most once per post.
+ */
+
+const REACTION_TYPES = ['like', 'insightful', 'celebrate'];
+
+/**
+ * Per-type counts of a post, with zeroes for types it has never received.
+ */
+const reactionCountsOf = (post) => REACTION_TYPES.reduce((counts, type) => {
+  counts[type] = (post.reactionCounts && post.reactionCounts[type]) || 0;
+  return counts;
+}, {});
+
+module.exports = {
+  REACTION_TYPES,
+  reactionCountsOf
+};
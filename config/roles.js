@@ -0,0 +1,82 @@
+/**
+ * Roles & Permission Matrix
+ * -------------------------
+ * Every protected route asks for a permission (never a role directly),
+ * and this file decides which roles hold it. Adding a role or moving a
+ * capability between roles should only ever require an edit here.
+ */
+
+// ============================================================
+// 👤 ROLES (lowest → highest privilege)
+// ============================================================
+
+const ROLES = [
+  'user',
+  'contributor',
+  'editor',
+  'moderator',
+  'membershipOfficer',
+  'admin',
+  'superAdmin'
+];
+
+// Roles with full administrative access; at least one active account
+// holding one of these must always remain
+const ADMIN_ROLES = ['admin', 'superAdmin'];
+
+// ============================================================
+// 🔐 PERMISSION MATRIX
+// ============================================================
+
+const PERMISSIONS = {
+  // Posts
+  // Contributors may only create and edit their own drafts (see config/postWorkflow.js)
+  'posts:create': ['contributor', 'editor', 'admin', 'superAdmin'],
+  'posts:update': ['contributor', 'editor', 'admin', 'superAdmin'],
+  'posts:delete': ['admin', 'superAdmin'],
+  'posts:list': ['contributor', 'editor', 'moderator', 'admin', 'superAdmin'],
+  'posts:readAll': ['editor', 'moderator', 'admin', 'superAdmin'],
+  'posts:submit': ['contributor', 'editor', 'admin', 'superAdmin'],
+  'posts:review': ['editor', 'admin', 'superAdmin'],
+  'posts:publish': ['editor', 'admin', 'superAdmin'],
+
+  // Tags (renames and merges rewrite every post carrying the tag)
+  'tags:manage': ['editor', 'admin', 'superAdmin'],
+
+  // Post categories
+  'categories:manage': ['admin', 'superAdmin'],
+
+  // Comments
+  'comments:moderate': ['moderator', 'admin', 'superAdmin'],
+
+  // Dashboard statistics
+  'stats:read': ['editor', 'moderator', 'membershipOfficer', 'admin', 'superAdmin'],
+
+  // User accounts
+  'users:manage': ['admin', 'superAdmin'],
+  'users:audit': ['admin', 'superAdmin'],
+  'users:invite': ['admin', 'superAdmin'],
+
+  // Members (applications contain citizenship documents)
+  'members:read': ['membershipOfficer', 'admin', 'superAdmin'],
+  'members:updateStatus': ['membershipOfficer', 'admin', 'superAdmin'],
+  'members:update': ['membershipOfficer', 'admin', 'superAdmin'],
+  'members:delete': ['admin', 'superAdmin'],
+  'members:stats': ['membershipOfficer', 'admin', 'superAdmin']
+};
+
+/**
+ * Check whether a role holds a permission.
+ * Unknown permissions are denied rather than allowed.
+ */
+const hasPermission = (role, permission) => {
+  const allowed = PERMISSIONS[permission];
+  return Array.isArray(allowed) && allowed.includes(role);
+};
+
+module.exports = {
+  ROLES,
+  ADMIN_ROLES,
+  PERMISSIONS,
+  hasPermission
+};
@@ -1,14 +1,40 @@
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const { cloudinary } = require('../config/cloudinary.config');
 const { validationResult } = require('express-validator');
+const {
+  createSession,
+  revokeSession,
+  revokeUserSessions,
+  rotateRefreshToken,
+  generateTwoFactorChallenge,
+  hashToken
+} = require('../utils/tokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/authEmails');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const mongoose = require('mongoose');
+const { isEmailVerificationSatisfied, isTwoFactorRequired } = require('../config/auth.config');
+const {
+  isIpBlocked,
+  applyProgressiveDelay,
+  recordAttempt,
+  registerFailure,
+  resetFailures,
+  lockedResponse
+} = require('../utils/loginGuard');
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
-  });
-};
+// Profile fields returned by the /me endpoints
+const profileData = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  avatar: user.avatar,
+  bio: user.bio,
+  isEmailVerified: user.isEmailVerified,
+  twoFactorEnabled: user.twoFactorEnabled
+});
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -25,7 +51,8 @@ exports.register = async (req, res) => {
       });
     }
 
-    const { name, email, password, role } = req.body;
+    // Any client-supplied role is ignored; staff roles come from invitations
+    const { name, email, password } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -36,27 +63,50 @@ exports.register = async (req, res) => {
       });
     }
 
-    // Create user
-    const user = await User.create({
+    // Create user (unverified until the emailed link is opened)
+    const user = new User({
       name,
       email,
       password,
-      role: role || 'user'
+      role: 'user',
+      isEmailVerified: false
     });
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+
+    try {
+      await sendVerificationEmail(user, verificationToken);
+    } catch (mailError) {
+      // Registration still succeeds; the user can ask for a new link
+      console.error('Verification email error:', mailError);
+    }
+
+    const userData = {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      isEmailVerified: user.isEmailVerified
+    };
+
+    // Only sign the user in straight away if the policy allows unverified accounts
+    if (!isEmailVerificationSatisfied(user)) {
+      return res.status(201).json({
+        success: true,
+        message: 'User registered successfully. Please check your email to verify your account.',
+        user: userData
+      });
+    }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Open a session and issue the token pair
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role
-      }
+      refreshToken,
+      user: userData
     });
   } catch (error) {
     console.error('Register error:', error);
@@ -84,18 +134,40 @@ exports.login = async (req, res) => {
 
     const { email, password } = req.body;
 
+    // Block IPs that have failed too often recently, whatever account they target
+    if (await isIpBlocked(req.ip)) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed login attempts from this IP, please try again later.'
+      });
+    }
+
     // Check if user exists and get password
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
+      await recordAttempt(req, { email, reason: 'unknownUser' });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
+    // Refuse locked accounts before even looking at the password
+    if (user.isLocked()) {
+      await recordAttempt(req, { email, user, reason: 'locked' });
+      return lockedResponse(res, user.lockUntil);
+    }
+
+    await applyProgressiveDelay(user.failedLoginAttempts);
+
     // Check if password matches
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordAttempt(req, { email, user, reason: 'invalidPassword' });
+      const lockUntil = await registerFailure(user);
+      if (lockUntil) {
+        return lockedResponse(res, lockUntil);
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -104,24 +176,61 @@ exports.login = async (req, res) => {
 
     // Check if user is active
     if (!user.isActive) {
+      await recordAttempt(req, { email, user, reason: 'deactivated' });
       return res.status(401).json({
         success: false,
         message: 'Account is deactivated'
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // An admin required a new password; the emailed reset link is the only way in
+    if (user.passwordResetRequired) {
+      return res.status(403).json({
+        success: false,
+        message: 'A password reset is required. Please use the reset link sent to your email.',
+        passwordResetRequired: true
+      });
+    }
+
+    // Check email verification against the configured policy
+    if (!isEmailVerificationSatisfied(user)) {
+      await recordAttempt(req, { email, user, reason: 'unverified' });
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before logging in',
+        isEmailVerified: false
+      });
+    }
+
+    // Second step: no session until a TOTP or recovery code is verified
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication code required',
+        twoFactorRequired: true,
+        twoFactorToken: generateTwoFactorChallenge(user._id)
+      });
+    }
+
+    await resetFailures(user);
+    await recordAttempt(req, { email, user, success: true, reason: 'success' });
+
+    // Open a session and issue the token pair
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(200).json({
       success: true,
       message: 'Login successful',
       token,
+      refreshToken,
+      // Mandatory 2FA not yet enrolled: only the setup endpoints will accept this token
+      ...(isTwoFactorRequired(user) && { twoFactorSetupRequired: true }),
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        isEmailVerified: user.isEmailVerified
       }
     });
   } catch (error) {
@@ -139,17 +248,10 @@ exports.login = async (req, res) => {
 exports.getMe = async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
-    
+
     res.status(200).json({
       success: true,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        avatar: user.avatar,
-        bio: user.bio
-      }
+      user: profileData(user)
     });
   } catch (error) {
     console.error('Get me error:', error);
@@ -158,4 +260,496 @@ exports.getMe = async (req, res) => {
       message: 'Server error'
     });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Update name and bio of the current user
+// @route   PUT /api/auth/me
+// @access  Private
+exports.updateMe = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Only whitelisted fields; role, email etc. cannot be changed here
+    const updates = {};
+    if (req.body.name !== undefined) updates.name = req.body.name;
+    if (req.body.bio !== undefined) updates.bio = req.body.bio;
+
+    const user = await User.findByIdAndUpdate(req.user._id, updates, {
+      new: true,
+      runValidators: true
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile updated successfully',
+      user: profileData(user)
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating profile'
+    });
+  }
+};
+
+// @desc    Upload a new avatar for the current user
+// @route   PUT /api/auth/me/avatar
+// @access  Private
+exports.updateAvatar = async (req, res) => {
+  try {
+    if (!req.file || !req.file.path) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload an image in the "avatar" field'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+avatarPublicId');
+    const previousPublicId = user.avatarPublicId;
+
+    user.avatar = req.file.path;
+    user.avatarPublicId = req.file.filename || req.file.public_id || undefined;
+    await user.save({ validateBeforeSave: false });
+
+    // Remove the replaced image from Cloudinary
+    if (previousPublicId) {
+      try {
+        await cloudinary.uploader.destroy(previousPublicId);
+      } catch (err) {
+        console.warn('⚠️ Failed to delete previous avatar:', err.message);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Avatar updated successfully',
+      user: profileData(user)
+    });
+  } catch (error) {
+    console.error('Update avatar error:', error);
+
+    // Roll back the upload so it does not become an orphan
+    if (req.file && (req.file.filename || req.file.public_id)) {
+      try {
+        await cloudinary.uploader.destroy(req.file.filename || req.file.public_id);
+      } catch (err) {
+        console.warn('⚠️ Failed to roll back avatar upload:', err.message);
+      }
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating avatar'
+    });
+  }
+};
+
+// @desc    Change password (current password required)
+// @route   PUT /api/auth/me/password
+// @access  Private
+exports.changePassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Keep this device signed in, sign out everywhere else
+    await revokeUserSessions(user._id, 'passwordChange', req.authSession._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing password'
+    });
+  }
+};
+
+// @desc    Deactivate own account (password required)
+// @route   POST /api/auth/me/deactivate
+// @access  Private
+exports.deactivateMe = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password');
+    const isMatch = req.body.password ? await user.comparePassword(req.body.password) : false;
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (!(await User.updateUnlessLastAdmin(user, { isActive: false }))) {
+      return res.status(409).json({
+        success: false,
+        message: 'You are the last active administrator and cannot deactivate your account'
+      });
+    }
+
+    await revokeUserSessions(user._id, 'deactivated');
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Deactivate account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deactivating account'
+    });
+  }
+};
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token required)
+exports.refresh = async (req, res) => {
+  try {
+    const { token, refreshToken } = await rotateRefreshToken(req.body.refreshToken, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      token,
+      refreshToken
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh'
+    });
+  }
+};
+
+// @desc    Log out by revoking the session the refresh token belongs to
+// @route   POST /api/auth/logout
+// @access  Public (refresh token required)
+exports.logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+    if (stored) {
+      await revokeSession(stored.session, 'logout');
+    }
+
+    // Respond the same way whether or not the token was known
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+};
+
+// @desc    Email a single-use password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res) => {
+  // Same response whether or not the email is registered, to avoid account enumeration
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent'
+  };
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+    if (!user || !user.isActive) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendPasswordResetEmail(user, resetToken);
+    } catch (mailError) {
+      // Don't leave a usable token behind if the email never went out
+      user.passwordResetToken = undefined;
+      user.passwordResetExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      // Answer as usual: a different response would reveal that the account exists
+      console.error('Password reset email error:', mailError);
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset request'
+    });
+  }
+};
+
+// @desc    Set a new password using a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+exports.resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      passwordResetToken: hashToken(token),
+      passwordResetExpire: { $gt: new Date() }
+    }).select('+passwordResetToken +passwordResetExpire');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset token is invalid or has expired'
+      });
+    }
+
+    // Consume the token so it cannot be used again
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpire = undefined;
+    await user.save();
+
+    // Sign out everywhere: whoever knew the old password loses access
+    await revokeUserSessions(user._id, 'passwordChange');
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset'
+    });
+  }
+};
+
+// @desc    Verify an email address
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+exports.verifyEmail = async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(req.params.token),
+      emailVerificationExpire: { $gt: new Date() }
+    }).select('+emailVerificationToken +emailVerificationExpire');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during email verification'
+    });
+  }
+};
+
+// @desc    Send a new email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Public
+exports.resendVerification = async (req, res) => {
+  // Same response whether or not the email is registered, to avoid account enumeration
+  const genericResponse = {
+    success: true,
+    message: 'If an unverified account exists for that email, a new verification link has been sent'
+  };
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+    if (!user || user.isEmailVerified || !user.isActive) {
+      return res.status(200).json(genericResponse);
+    }
+
+    // A new token replaces (and invalidates) any previous link
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendVerificationEmail(user, verificationToken);
+    } catch (mailError) {
+      // Don't leave a usable token behind if the email never went out
+      user.emailVerificationToken = undefined;
+      user.emailVerificationExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      // Answer as usual: a different response would reveal that the account exists
+      console.error('Verification email error:', mailError);
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resending verification email'
+    });
+  }
+};
+
+// @desc    List the current user's active sessions (signed-in devices)
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort('-lastSeenAt');
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.authSession._id)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+};
+
+// @desc    Sign out one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeMySession = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session id'
+      });
+    }
+
+    // Scoped to the current user so nobody can end someone else's session
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session._id, 'remoteSignOut');
+
+    res.status(200).json({
+      success: true,
+      message: 'Session signed out successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while signing out session'
+    });
+  }
+};
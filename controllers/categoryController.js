@@ -0,0 +1,293 @@
+// controllers/categoryController.js
+'use strict';
+
+const Category = require('../models/Category');
+const Post = require('../models/Post');
+const { listCategories, clearCategoryCache, categoryKeyFor } = require('../utils/categories');
+const { clearPostCaches } = require('../utils/postCaches');
+const { sendValidationError } = require('../utils/validationErrors');
+
+// Fields admins may set (the key is fixed at creation)
+const EDITABLE_FIELDS = ['name_en', 'name_np', 'description_en', 'description_np', 'order', 'active'];
+
+/**
+ * Helper: Editable fields present in the request body.
+ */
+const fieldsFromBody = (body) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (body[field] === undefined) return fields;
+  if (field === 'active') return { ...fields, active: body.active === true || body.active === 'true' };
+  return { ...fields, [field]: body[field] };
+}, {});
+
+/**
+ * Helper: Number of posts (matching `postFilter`) per category key.
+ */
+async function postCountsByCategory(postFilter) {
+  const rows = await Post.aggregate([
+    { $match: postFilter },
+    { $group: { _id: '$category', count: { $sum: 1 } } }
+  ]);
+  return new Map(rows.map((row) => [row._id, row.count]));
+}
+
+/**
+ * Helper: Response shape of a category. The public shape has the name and
+ * description in the requested language (falling back to English).
+ */
+function categoryView(category, postCount, language, { admin = false } = {}) {
+  return {
+    key: category.key,
+    name: category[`name_${language}`] || category.name_en,
+    description: category[`description_${language}`] || category.description_en || '',
+    name_en: category.name_en,
+    name_np: category.name_np || '',
+    ...(admin && {
+      description_en: category.description_en || '',
+      description_np: category.description_np || '',
+      active: category.active,
+      updatedAt: category.updatedAt
+    }),
+    order: category.order,
+    postCount
+  };
+}
+
+/* ===========================================================
+   LIST CATEGORIES (PUBLIC)
+   GET /api/categories?language=en
+   Active categories in menu order, with their number of public posts
+   =========================================================== */
+exports.getCategories = async (req, res) => {
+  try {
+    const { language = 'en' } = req.query;
+
+    const [categories, counts] = await Promise.all([
+      listCategories(),
+      postCountsByCategory(Post.visibleFilter())
+    ]);
+
+    const data = categories
+      .filter((category) => category.active)
+      .map((category) => categoryView(category, counts.get(category.key) || 0, language));
+
+    return res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching categories'
+    });
+  }
+};
+
+/* ===========================================================
+   LIST CATEGORIES (ADMIN)
+   GET /api/categories/admin
+   All categories including inactive ones; counts include drafts
+   =========================================================== */
+exports.getAdminCategories = async (req, res) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find().sort({ order: 1, name_en: 1 }).lean(),
+      postCountsByCategory({})
+    ]);
+
+    const data = categories.map((category) => categoryView(category, counts.get(category.key) || 0, 'en', { admin: true }));
+
+    // Values on posts without a category document (should be none after migrateCategories.js)
+    const known = new Set(categories.map((category) => category.key));
+    const unknown = [...counts.entries()]
+      .filter(([key]) => key && !known.has(key))
+      .map(([key, postCount]) => ({ key, postCount }));
+
+    return res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+      ...(unknown.length && { unknown })
+    });
+  } catch (error) {
+    console.error('Get admin categories error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching categories'
+    });
+  }
+};
+
+/* ===========================================================
+   CREATE CATEGORY
+   POST /api/categories
+   Body: { key?, name_en, name_np, description_en, description_np, order, active }
+   The key defaults to the camelCased English name ("AI Policy" → "aiPolicy")
+   =========================================================== */
+exports.createCategory = async (req, res) => {
+  try {
+    const fields = fieldsFromBody(req.body);
+    const key = String(req.body.key || categoryKeyFor(fields.name_en)).trim();
+
+    if (await Category.exists({ key })) {
+      return res.status(409).json({
+        success: false,
+        message: `Category "${key}" already exists`
+      });
+    }
+
+    // New categories go to the end of the menu unless placed explicitly
+    if (fields.order === undefined) {
+      const last = await Category.findOne().sort('-order').select('order').lean();
+      fields.order = last ? last.order + 1 : 0;
+    }
+
+    const category = await Category.create({ key, ...fields });
+    clearCategoryCache();
+    clearPostCaches();
+
+    console.log('✅ Category created:', category.key);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: categoryView(category, 0, 'en', { admin: true })
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    console.error('Create category error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while creating category'
+    });
+  }
+};
+
+/* ===========================================================
+   REORDER CATEGORIES
+   PUT /api/categories/order
+   Body: { keys: [<key>, ...] } in the new menu order; categories
+   not listed keep their place after the listed ones
+   =========================================================== */
+exports.reorderCategories = async (req, res) => {
+  try {
+    const { keys } = req.body;
+    if (!Array.isArray(keys) || keys.length === 0) {
+      return res.status(400).json({ success: false, message: 'Please provide the category keys in order ("keys")' });
+    }
+
+    const categories = await Category.find().sort({ order: 1, name_en: 1 }).select('key');
+    const known = new Set(categories.map((category) => category.key));
+    const missing = keys.filter((key) => !known.has(key));
+    if (missing.length) {
+      return res.status(400).json({ success: false, message: `Unknown categories: ${missing.join(', ')}` });
+    }
+
+    const ordered = [...new Set(keys), ...categories.map((category) => category.key).filter((key) => !keys.includes(key))];
+    await Category.bulkWrite(ordered.map((key, order) => ({
+      updateOne: { filter: { key }, update: { $set: { order } } }
+    })));
+    clearCategoryCache();
+    clearPostCaches();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Categories reordered successfully',
+      data: ordered
+    });
+  } catch (error) {
+    console.error('Reorder categories error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while reordering categories'
+    });
+  }
+};
+
+/* ===========================================================
+   UPDATE CATEGORY
+   PUT /api/categories/:key
+   Names, descriptions, order and active flag (the key cannot change)
+   =========================================================== */
+exports.updateCategory = async (req, res) => {
+  try {
+    const category = await Category.findOne({ key: req.params.key });
+    if (!category) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+
+    Object.assign(category, fieldsFromBody(req.body));
+    await category.save();
+    clearCategoryCache();
+    clearPostCaches();
+
+    console.log('✅ Category updated:', category.key);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Category updated successfully',
+      data: categoryView(category, await Post.countDocuments({ category: category.key }), 'en', { admin: true })
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    console.error('Update category error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while updating category'
+    });
+  }
+};
+
+/* ===========================================================
+   DELETE CATEGORY
+   DELETE /api/categories/:key?reassignTo=<key>
+   A category still used by posts can only be deleted when its posts are
+   moved to another active category (or deactivate it instead)
+   =========================================================== */
+exports.deleteCategory = async (req, res) => {
+  try {
+    const category = await Category.findOne({ key: req.params.key });
+    if (!category) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+
+    const { reassignTo } = req.query;
+    const postCount = await Post.countDocuments({ category: category.key });
+
+    if (postCount && !reassignTo) {
+      return res.status(409).json({
+        success: false,
+        message: `${postCount} post(s) use this category. Pass "reassignTo" to move them, or deactivate the category instead.`,
+        postCount
+      });
+    }
+
+    let postsMoved = 0;
+    if (postCount) {
+      if (reassignTo === category.key || !(await Category.exists({ key: reassignTo, active: true }))) {
+        return res.status(400).json({ success: false, message: '"reassignTo" must be another active category' });
+      }
+      const result = await Post.updateMany({ category: category.key }, { $set: { category: reassignTo } });
+      postsMoved = result.modifiedCount;
+    }
+
+    await category.deleteOne();
+    clearCategoryCache();
+    clearPostCaches();
+
+    console.log(`✅ Category deleted: ${category.key}${postsMoved ? ` (${postsMoved} post(s) moved to ${reassignTo})` : ''}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Category deleted successfully',
+      postsMoved
+    });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while deleting category'
+    });
+  }
+};
@@ -0,0 +1,689 @@
+// controllers/commentController.js
+'use strict';
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const { hasPermission } = require('../config/roles');
+const {
+  COMMENT_STATUSES,
+  publicCommentView,
+  commentModeration
+} = require('../config/comments.config');
+const { spamReasons } = require('../utils/commentFilter');
+const { hashToken } = require('../utils/tokens');
+const { recordDailyStats } = require('../utils/postAnalytics');
+
+const EMAIL_PATTERN = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
+const MAX_BULK_IDS = 100;
+const MAX_PAGE_SIZE = 50;
+
+// Bulk moderation actions → resulting status (`delete` removes the comments)
+const MODERATION_ACTIONS = {
+  approve: 'approved',
+  reject: 'rejected',
+  spam: 'spam',
+  delete: null
+};
+
+// Public list sort options; every sort ends with _id so cursors are unambiguous
+const SORTS = {
+  newest: [['createdAt', -1], ['_id', -1]],
+  oldest: [['createdAt', 1], ['_id', 1]],
+  replies: [['replyCount', -1], ['createdAt', -1], ['_id', -1]]
+};
+
+/**
+ * Helper: Opaque cursor holding the sort values of the last comment on a page.
+ */
+function encodeCursor(comment, sortSpec) {
+  const values = sortSpec.map(([field]) => comment[field]);
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+/**
+ * Helper: Filter for comments after the cursor, or null when it is malformed.
+ * For sort keys (a, b, c): a past, or a equal and b past, or a and b equal and c past.
+ */
+function cursorFilter(cursor, sortSpec) {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+  if (!Array.isArray(values) || values.length !== sortSpec.length) return null;
+
+  const typed = sortSpec.map(([field], i) => {
+    if (field === '_id') return mongoose.Types.ObjectId.isValid(values[i]) ? new mongoose.Types.ObjectId(values[i]) : null;
+    if (field === 'createdAt') return Number.isNaN(Date.parse(values[i])) ? null : new Date(values[i]);
+    return typeof values[i] === 'number' ? values[i] : null;
+  });
+  if (typed.includes(null)) return null;
+
+  return {
+    $or: sortSpec.map(([field, direction], i) => {
+      const clause = {};
+      for (let j = 0; j < i; j += 1) clause[sortSpec[j][0]] = typed[j];
+      clause[field] = { [direction < 0 ? '$lt' : '$gt']: typed[i] };
+      return clause;
+    })
+  };
+}
+
+/**
+ * Helper: Decide the status of a new comment from the spam filter and
+ * the configured auto-approval rules.
+ */
+async function initialStatus({ reasons, user, guestEmail, guestToken }, rules) {
+  if (reasons.length) return 'spam';
+  if (user && hasPermission(user.role, 'comments:moderate')) return 'approved';
+  if (rules.autoApprove === 'all') return 'approved';
+  if (rules.autoApprove === 'none') return 'pending';
+
+  // trusted: signed-in users, or guests proving (with the edit token of one of
+  // their approved comments) that they wrote it; an email alone proves nothing
+  if (user) return 'approved';
+  if (guestEmail && guestToken) {
+    const knownGuest = await Comment.exists({ guestEmail, editTokenHash: hashToken(guestToken), status: 'approved' });
+    if (knownGuest) return 'approved';
+  }
+  return 'pending';
+}
+
+/**
+ * Helper: Check that the requester may edit/delete a comment. Moderators always
+ * may; authors (signed in, or guests holding the edit token) within the edit window.
+ * Sends 403 and returns false otherwise. `comment` must include +editTokenHash.
+ */
+function checkAuthorAccess(comment, req, res) {
+  if (req.user && hasPermission(req.user.role, 'comments:moderate')) return true;
+
+  const editToken = req.get('x-comment-token') || req.body.editToken;
+  const isOwner = Boolean(
+    (req.user && comment.user && comment.user.equals(req.user._id)) ||
+    (editToken && comment.editTokenHash && comment.editTokenHash === hashToken(editToken))
+  );
+
+  if (!isOwner) {
+    res.status(403).json({ success: false, message: 'You can only change your own comments' });
+    return false;
+  }
+
+  const { editWindowMinutes } = commentModeration();
+  if (Date.now() - comment.createdAt.getTime() > editWindowMinutes * 60 * 1000) {
+    res.status(403).json({
+      success: false,
+      message: `Comments can only be changed within ${editWindowMinutes} minutes of posting`
+    });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Helper: Delete a comment. Comments with replies become placeholders so
+ * the thread below them survives.
+ */
+async function removeComment(comment) {
+  const hasReplies = await Comment.exists({ parent: comment._id });
+
+  if (hasReplies) {
+    await Comment.updateOne(
+      { _id: comment._id },
+      { $set: { deletedAt: new Date(), text: '' }, $unset: { guestEmail: 1 } }
+    );
+  } else {
+    await Comment.deleteOne({ _id: comment._id });
+  }
+
+  await Comment.refreshCounts(comment.post, [comment.parent]);
+}
+
+/**
+ * Helper: Validate the :id / :commentId params. Sends 400 and returns false on failure.
+ */
+function validIds(req, res) {
+  const { id, commentId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id) || (commentId !== undefined && !mongoose.Types.ObjectId.isValid(commentId))) {
+    res.status(400).json({ success: false, message: 'Invalid post or comment id' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Helper: Validate comment text. Sends 400 and returns null on failure.
+ */
+function validText(req, res) {
+  const text = req.body.text ? String(req.body.text).trim() : '';
+  if (!text) {
+    res.status(400).json({ success: false, message: 'Comment text is required' });
+    return null;
+  }
+  if (text.length > 1000) {
+    res.status(400).json({ success: false, message: 'Comment cannot be more than 1000 characters' });
+    return null;
+  }
+  return text;
+}
+
+/* ===========================================================
+   LIST COMMENTS (PUBLIC)
+   GET /api/posts/:id/comments?parent=root&sort=newest&limit=20&cursor=...
+   parent: root (top-level, default) or a comment id for its replies
+   sort: newest (default) | oldest | replies
+   =========================================================== */
+exports.getComments = async (req, res) => {
+  try {
+    if (!validIds(req, res)) return;
+
+    const { parent = 'root', sort = 'newest', cursor } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+
+    const sortSpec = SORTS[sort];
+    if (!sortSpec) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort. Allowed: ${Object.keys(SORTS).join(', ')}`
+      });
+    }
+    if (parent !== 'root' && !mongoose.Types.ObjectId.isValid(parent)) {
+      return res.status(400).json({ success: false, message: 'Invalid parent comment id' });
+    }
+
+    const post = await Post.exists({ _id: req.params.id, ...Post.visibleFilter() });
+    if (!post) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+
+    const filter = {
+      post: req.params.id,
+      parent: parent === 'root' ? null : parent,
+      status: 'approved',
+      // Deleted placeholders only matter while they still have replies
+      $or: [{ deletedAt: null }, { replyCount: { $gt: 0 } }]
+    };
+    const total = await Comment.countDocuments(filter);
+
+    const conditions = [filter];
+    if (cursor) {
+      const after = cursorFilter(cursor, sortSpec);
+      if (!after) {
+        return res.status(400).json({ success: false, message: 'Invalid cursor' });
+      }
+      conditions.push(after);
+    }
+
+    const comments = await Comment.find({ $and: conditions })
+      .sort(Object.fromEntries(sortSpec))
+      .limit(limit + 1)
+      .populate('user', 'name avatar')
+      .lean();
+
+    const hasMore = comments.length > limit;
+    const page = hasMore ? comments.slice(0, limit) : comments;
+
+    return res.status(200).json({
+      success: true,
+      count: page.length,
+      total,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1], sortSpec) : null
+      },
+      data: page.map(publicCommentView)
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching comments'
+    });
+  }
+};
+
+/* ===========================================================
+   ADD COMMENT OR REPLY
+   POST /api/posts/:id/comments
+   Body: { text, parentId?, userName?, email?, editToken?, website? (honeypot) }
+   Signed-in users comment under their account; everyone else as a guest
+   and receives an editToken for editing/deleting within the edit window.
+   Guests sending the editToken of an earlier approved comment (body or
+   X-Comment-Token) with the same email count as trusted.
+   =========================================================== */
+exports.addComment = async (req, res) => {
+  try {
+    if (!validIds(req, res)) return;
+
+    const text = validText(req, res);
+    if (!text) return;
+
+    let guestEmail;
+    if (!req.user && req.body.email) {
+      guestEmail = String(req.body.email).trim().toLowerCase();
+      if (!EMAIL_PATTERN.test(guestEmail)) {
+        return res.status(400).json({ success: false, message: 'Please provide a valid email' });
+      }
+    }
+
+    // Only posts the public can see accept comments
+    const post = await Post.exists({ _id: req.params.id, ...Post.visibleFilter() });
+    if (!post) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+
+    const rules = commentModeration();
+
+    let parent = null;
+    if (req.body.parentId) {
+      parent = mongoose.Types.ObjectId.isValid(req.body.parentId) && await Comment.findOne({
+        _id: req.body.parentId,
+        post: post._id,
+        status: 'approved',
+        deletedAt: null
+      });
+      if (!parent) {
+        return res.status(404).json({ success: false, message: 'Parent comment not found' });
+      }
+      if (parent.depth >= rules.maxDepth) {
+        return res.status(400).json({
+          success: false,
+          message: `Replies cannot be nested more than ${rules.maxDepth} levels deep`
+        });
+      }
+    }
+
+    const userName = req.user
+      ? req.user.name
+      : String(req.body.userName || '').trim().slice(0, 100) || 'Anonymous';
+    const ipHash = hashToken(req.ip || '');
+
+    const reasons = spamReasons({ text, name: userName, honeypot: req.body.website }, rules);
+    if (await Comment.exists({ post: post._id, ipHash, text })) {
+      reasons.push('duplicate');
+    }
+
+    const guestToken = req.user ? null : req.get('x-comment-token') || req.body.editToken;
+    const status = await initialStatus({ reasons, user: req.user, guestEmail, guestToken }, rules);
+    const editToken = req.user ? null : crypto.randomBytes(24).toString('hex');
+
+    const comment = await Comment.create({
+      post: post._id,
+      parent: parent ? parent._id : null,
+      depth: parent ? parent.depth + 1 : 0,
+      user: req.user ? req.user._id : null,
+      text,
+      userName,
+      guestEmail,
+      editTokenHash: editToken ? hashToken(editToken) : undefined,
+      ipHash,
+      userAgent: (req.get('user-agent') || '').slice(0, 500),
+      status,
+      spamReasons: reasons
+    });
+
+    if (status === 'approved') {
+      await Comment.refreshCounts(post._id, [comment.parent]);
+      await recordDailyStats(post._id, { comments: 1 });
+    } else {
+      console.log(`💬 Comment ${comment._id} on post ${post._id} held as ${status}${reasons.length ? ` (${reasons.join(', ')})` : ''}`);
+    }
+
+    // Spam is reported to the sender as pending so filters cannot be probed
+    return res.status(201).json({
+      success: true,
+      message: status === 'approved'
+        ? 'Comment added successfully'
+        : 'Comment submitted and awaiting moderation',
+      data: {
+        ...publicCommentView(comment),
+        status: status === 'approved' ? 'approved' : 'pending',
+        editableUntil: new Date(comment.createdAt.getTime() + rules.editWindowMinutes * 60 * 1000),
+        ...(editToken && { editToken })
+      }
+    });
+  } catch (error) {
+    console.error('Add comment error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while adding comment'
+    });
+  }
+};
+
+/* ===========================================================
+   EDIT OWN COMMENT
+   PUT /api/posts/:id/comments/:commentId
+   Body: { text, editToken? } (guests may send X-Comment-Token instead)
+   =========================================================== */
+exports.updateComment = async (req, res) => {
+  try {
+    if (!validIds(req, res)) return;
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, post: req.params.id })
+      .select('+editTokenHash');
+    if (!comment || comment.deletedAt) {
+      return res.status(404).json({ success: false, message: 'Comment not found' });
+    }
+
+    if (!checkAuthorAccess(comment, req, res)) return;
+
+    const text = validText(req, res);
+    if (!text) return;
+
+    // Edited text goes through the spam filter and the auto-approval rules
+    // again. Guests only hold this comment's own token, which proves nothing
+    // about the new text, so their edits always wait for a moderator.
+    const rules = commentModeration();
+    const reasons = spamReasons({ text, name: comment.userName }, rules);
+    const status = await initialStatus({ reasons, user: req.user, guestEmail: comment.guestEmail }, rules);
+    const wasApproved = comment.status === 'approved';
+
+    comment.text = text;
+    comment.editedAt = new Date();
+    if (status === 'spam') {
+      comment.status = 'spam';
+      comment.spamReasons = reasons;
+    } else if (wasApproved && status === 'pending') {
+      comment.status = 'pending';
+    }
+    await comment.save();
+
+    if (wasApproved && comment.status !== 'approved') {
+      await Comment.refreshCounts(comment.post, [comment.parent]);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: comment.status === 'approved'
+        ? 'Comment updated successfully'
+        : 'Comment updated and awaiting moderation',
+      data: {
+        ...publicCommentView(comment),
+        status: comment.status === 'approved' ? 'approved' : 'pending'
+      }
+    });
+  } catch (error) {
+    console.error('Update comment error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while updating comment'
+    });
+  }
+};
+
+/* ===========================================================
+   DELETE OWN COMMENT
+   DELETE /api/posts/:id/comments/:commentId
+   Body/header: editToken for guests (X-Comment-Token)
+   =========================================================== */
+exports.deleteComment = async (req, res) => {
+  try {
+    if (!validIds(req, res)) return;
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, post: req.params.id })
+      .select('+editTokenHash');
+    if (!comment || comment.deletedAt) {
+      return res.status(404).json({ success: false, message: 'Comment not found' });
+    }
+
+    if (!checkAuthorAccess(comment, req, res)) return;
+
+    await removeComment(comment);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while deleting comment'
+    });
+  }
+};
+
+/* ===========================================================
+   REPORT COMMENT
+   POST /api/posts/:id/comments/:commentId/report
+   Body: { reason? }
+   One report per visitor; enough reports send it back to moderation
+   =========================================================== */
+exports.reportComment = async (req, res) => {
+  try {
+    if (!validIds(req, res)) return;
+
+    const { id, commentId } = req.params;
+    const comment = await Comment.findOne({ _id: commentId, post: id, status: 'approved', deletedAt: null });
+    if (!comment) {
+      return res.status(404).json({ success: false, message: 'Comment not found' });
+    }
+
+    const ipHash = hashToken(req.ip || '');
+    const reporter = req.user
+      ? { 'reports.user': { $ne: req.user._id } }
+      : { 'reports.ipHash': { $ne: ipHash } };
+
+    const result = await Comment.updateOne(
+      { _id: commentId, ...reporter },
+      {
+        $push: {
+          reports: {
+            reason: req.body.reason ? String(req.body.reason).trim().slice(0, 500) : undefined,
+            ipHash,
+            user: req.user ? req.user._id : undefined
+          }
+        },
+        $inc: { reportCount: 1 }
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(200).json({
+        success: true,
+        message: 'You have already reported this comment'
+      });
+    }
+
+    // Hide the comment again until a moderator looks at it
+    const { reportThreshold } = commentModeration();
+    if (reportThreshold > 0) {
+      const hidden = await Comment.updateOne(
+        { _id: commentId, reportCount: { $gte: reportThreshold }, status: 'approved' },
+        { $set: { status: 'pending' } }
+      );
+      if (hidden.modifiedCount) {
+        await Comment.refreshCounts(comment.post, [comment.parent]);
+      }
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'Comment reported. Thank you, a moderator will review it.'
+    });
+  } catch (error) {
+    console.error('Report comment error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while reporting comment'
+    });
+  }
+};
+
+/* ===========================================================
+   MODERATION QUEUE
+   GET /api/comments/moderation?status=pending&reported=true&post=<id>
+   status: pending (default) | approved | rejected | spam | all
+   =========================================================== */
+exports.getModerationQueue = async (req, res) => {
+  try {
+    const { status = 'pending', reported, post, page = 1, limit = 20 } = req.query;
+
+    if (status !== 'all' && !COMMENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Allowed: all, ${COMMENT_STATUSES.join(', ')}`
+      });
+    }
+    if (post && !mongoose.Types.ObjectId.isValid(post)) {
+      return res.status(400).json({ success: false, message: 'Invalid post id' });
+    }
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const scope = post ? { post: new mongoose.Types.ObjectId(post) } : {};
+    const query = { ...scope };
+    if (status !== 'all') query.status = status;
+    if (reported === 'true') query.reportCount = { $gt: 0 };
+
+    const comments = await Comment.find(query)
+      .sort(reported === 'true' ? { reportCount: -1, createdAt: -1 } : { createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .populate('post', 'title_en title_np slug')
+      .populate('user', 'name email')
+      .populate('moderatedBy', 'name email')
+      .lean();
+
+    const total = await Comment.countDocuments(query);
+
+    const statusCounts = await Comment.aggregate([
+      { $match: scope },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const counts = COMMENT_STATUSES.reduce((acc, s) => ({ ...acc, [s]: 0 }), {});
+    statusCounts.forEach(({ _id, count }) => { counts[_id] = count; });
+
+    const data = comments.map((comment) => ({
+      id: comment._id,
+      post: comment.post,
+      parent: comment.parent,
+      text: comment.text,
+      userName: comment.userName,
+      user: comment.user,
+      guestEmail: comment.guestEmail,
+      status: comment.status,
+      spamReasons: comment.spamReasons || [],
+      reportCount: comment.reportCount || 0,
+      reports: comment.reports || [],
+      moderatedBy: comment.moderatedBy || null,
+      moderatedAt: comment.moderatedAt || null,
+      editedAt: comment.editedAt || null,
+      deleted: Boolean(comment.deletedAt),
+      createdAt: comment.createdAt
+    }));
+
+    return res.status(200).json({
+      success: true,
+      count: data.length,
+      total,
+      counts,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(total / limitNum)
+      },
+      data
+    });
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching moderation queue'
+    });
+  }
+};
+
+/* ===========================================================
+   BULK MODERATION
+   POST /api/comments/moderation/bulk
+   Body: { ids: [commentId], action: approve | reject | spam | delete }
+   =========================================================== */
+exports.moderateComments = async (req, res) => {
+  try {
+    const { ids, action } = req.body;
+
+    if (!Object.prototype.hasOwnProperty.call(MODERATION_ACTIONS, action)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid action. Allowed: ${Object.keys(MODERATION_ACTIONS).join(', ')}`
+      });
+    }
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_IDS) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide between 1 and ${MAX_BULK_IDS} comment ids`
+      });
+    }
+    if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ success: false, message: 'Invalid comment id' });
+    }
+
+    const comments = await Comment.find({ _id: { $in: ids } }).select('post parent status');
+
+    if (action === 'delete') {
+      for (const comment of comments) {
+        await removeComment(comment);
+      }
+    } else {
+      const update = {
+        status: MODERATION_ACTIONS[action],
+        moderatedBy: req.user._id,
+        moderatedAt: new Date()
+      };
+
+      // Approving a reported comment dismisses its reports
+      if (action === 'approve') {
+        update.reports = [];
+        update.reportCount = 0;
+      }
+
+      await Comment.updateMany({ _id: { $in: comments.map((c) => c._id) } }, { $set: update });
+
+      // Visible reply and comment counts change with the status
+      const parentsByPost = new Map();
+      comments.forEach((comment) => {
+        const key = String(comment.post);
+        parentsByPost.set(key, [...(parentsByPost.get(key) || []), comment.parent]);
+      });
+      for (const [postId, parentIds] of parentsByPost) {
+        await Comment.refreshCounts(postId, parentIds);
+      }
+
+      // Comments released from the queue count as published today
+      if (action === 'approve') {
+        const released = new Map();
+        comments
+          .filter((comment) => comment.status !== 'approved')
+          .forEach((comment) => {
+            const key = String(comment.post);
+            released.set(key, (released.get(key) || 0) + 1);
+          });
+        for (const [postId, count] of released) {
+          await recordDailyStats(postId, { comments: count });
+        }
+      }
+    }
+
+    console.log(`🛡️ ${req.user.email} applied "${action}" to ${comments.length} comment(s)`);
+
+    return res.status(200).json({
+      success: true,
+      message: `${comments.length} comment(s) updated`,
+      action,
+      count: comments.length
+    });
+  } catch (error) {
+    console.error('Moderate comments error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while moderating comments'
+    });
+  }
+};
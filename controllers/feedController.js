@@ -0,0 +1,120 @@
+// controllers/feedController.js
+'use strict';
+
+const Post = require('../models/Post');
+const { listCategories } = require('../utils/categories');
+const { clientUrl, apiUrl } = require('../utils/mailer');
+const {
+  SITE_NAME,
+  SITE_DESCRIPTION,
+  FEED_MAX_AGE_SECONDS,
+  cachedFeed,
+  feedItem,
+  buildRss,
+  buildAtom
+} = require('../utils/feeds');
+
+const LANGUAGES = ['en', 'np'];
+const DEFAULT_FEED_SIZE = 20;
+const MAX_FEED_SIZE = 50;
+
+const FORMATS = {
+  rss: { build: buildRss, contentType: 'application/rss+xml; charset=utf-8' },
+  atom: { build: buildAtom, contentType: 'application/atom+xml; charset=utf-8' }
+};
+
+/**
+ * Helper: Build the feed document and its Last-Modified date.
+ */
+async function generateFeed(format, { language, category, limit, selfUrl }) {
+  const query = Post.visibleFilter();
+  if (category) query.category = category.key;
+
+  const posts = await Post.find(query)
+    .select('-searchRomanized')
+    .populate('author', 'name')
+    .sort('-publishedAt -createdAt')
+    .limit(limit)
+    .lean();
+
+  const categoryNames = new Map((await listCategories())
+    .map((item) => [item.key, item[`name_${language}`] || item.name_en]));
+  const items = posts.map((post) => feedItem(post, language, categoryNames));
+  const updated = items.length
+    ? new Date(Math.max(...items.map((item) => item.updated.getTime())))
+    : new Date();
+
+  const categoryName = category && (category[`name_${language}`] || category.name_en);
+  const channel = {
+    title: categoryName ? `${SITE_NAME} – ${categoryName}` : SITE_NAME,
+    description: SITE_DESCRIPTION[language],
+    language,
+    link: clientUrl('/'),
+    selfUrl,
+    updated
+  };
+
+  return { body: FORMATS[format].build(channel, items), updated };
+}
+
+/**
+ * Helper: Handler for one feed format.
+ * GET /api/feeds/posts.<format>?language=en|np&category=<key>&limit=20
+ */
+const sendFeed = (format) => async (req, res) => {
+  try {
+    const { language = 'en' } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_FEED_SIZE, 1), MAX_FEED_SIZE);
+
+    if (!LANGUAGES.includes(language)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid language. Allowed: ${LANGUAGES.join(', ')}`
+      });
+    }
+
+    let category = null;
+    if (req.query.category) {
+      category = (await listCategories()).find((item) => item.key === req.query.category);
+      if (!category) {
+        return res.status(404).json({ success: false, message: 'Category not found' });
+      }
+    }
+
+    // Canonical URL of this feed (also its cache key and Atom id), from the
+    // configured API_URL rather than the Host header clients send
+    const params = new URLSearchParams({
+      language,
+      ...(category && { category: category.key }),
+      ...(limit !== DEFAULT_FEED_SIZE && { limit: String(limit) })
+    });
+    const selfUrl = apiUrl(`${req.baseUrl}${req.path}?${params}`);
+    const feed = await cachedFeed(selfUrl, () => generateFeed(format, { language, category, limit, selfUrl }));
+
+    // Express answers 304 itself when the reader's ETag / If-Modified-Since still match
+    res.set({
+      'Content-Type': FORMATS[format].contentType,
+      'Cache-Control': `public, max-age=${FEED_MAX_AGE_SECONDS}`,
+      'Last-Modified': feed.updated.toUTCString()
+    });
+    return res.status(200).send(feed.body);
+  } catch (error) {
+    console.error(`Get ${format} feed error:`, error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while generating feed'
+    });
+  }
+};
+
+/* ===========================================================
+   RSS 2.0 FEED OF PUBLIC POSTS
+   GET /api/feeds/posts.rss?language=en|np&category=<key>
+   =========================================================== */
+exports.getPostsRss = sendFeed('rss');
+
+/* ===========================================================
+   ATOM FEED OF PUBLIC POSTS
+   GET /api/feeds/posts.atom?language=en|np&category=<key>
+   =========================================================== */
+exports.getPostsAtom = sendFeed('atom');
@@ -0,0 +1,313 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const { ROLES } = require('../config/roles');
+const { createSession, hashToken } = require('../utils/tokens');
+const { sendInvitationEmail } = require('../utils/authEmails');
+
+// Query matching invitations that can still be accepted
+const pendingQuery = () => ({
+  acceptedAt: null,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+// Find a pending invitation by the raw token from the link
+const findPendingByToken = (token) => {
+  return Invitation.findOne({ tokenHash: hashToken(token), ...pendingQuery() });
+};
+
+// Fields of an invitation safe to return to staff (never the token hash)
+const invitationView = (invitation) => ({
+  _id: invitation._id,
+  email: invitation.email,
+  role: invitation.role,
+  status: invitation.status,
+  invitedBy: invitation.invitedBy,
+  acceptedUser: invitation.acceptedUser,
+  expiresAt: invitation.expiresAt,
+  acceptedAt: invitation.acceptedAt,
+  revokedAt: invitation.revokedAt,
+  createdAt: invitation.createdAt
+});
+
+// @desc    Invite someone to create a staff account with a given role
+// @route   POST /api/invitations
+// @access  Private (users:invite)
+exports.createInvitation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, role } = req.body;
+
+    if (role === 'superAdmin' && req.user.role !== 'superAdmin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only a super admin can invite super admins'
+      });
+    }
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'A user already exists with this email; change their role through /api/users instead'
+      });
+    }
+
+    const invitationToken = crypto.randomBytes(32).toString('hex');
+    const expireDays = parseInt(process.env.INVITATION_EXPIRE_DAYS, 10) || 7;
+
+    const invitation = await Invitation.create({
+      email,
+      role,
+      tokenHash: hashToken(invitationToken),
+      invitedBy: req.user._id,
+      expiresAt: new Date(Date.now() + expireDays * 24 * 60 * 60 * 1000)
+    });
+
+    try {
+      await sendInvitationEmail(invitation, invitationToken, req.user);
+    } catch (mailError) {
+      await invitation.deleteOne();
+
+      console.error('Invitation email error:', mailError);
+      return res.status(500).json({
+        success: false,
+        message: 'Could not send invitation email'
+      });
+    }
+
+    // The new invitation supersedes any pending one for the same email
+    // (only once it was sent, so a mail failure leaves the old link working)
+    await Invitation.updateMany(
+      { _id: { $ne: invitation._id }, email: invitation.email, ...pendingQuery() },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${invitation.email}`,
+      data: invitationView(invitation)
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating invitation'
+    });
+  }
+};
+
+// @desc    List invitations (pending by default)
+// @route   GET /api/invitations
+// @access  Private (users:invite)
+exports.getInvitations = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'pending' } = req.query;
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const now = new Date();
+
+    const statusQueries = {
+      pending: pendingQuery(),
+      accepted: { acceptedAt: { $ne: null } },
+      revoked: { acceptedAt: null, revokedAt: { $ne: null } },
+      expired: { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } },
+      all: {}
+    };
+
+    const query = statusQueries[status];
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Allowed: ${Object.keys(statusQueries).join(', ')}`
+      });
+    }
+
+    const invitations = await Invitation.find(query)
+      .populate('invitedBy', 'name email')
+      .populate('acceptedUser', 'name email')
+      .sort('-createdAt')
+      .limit(limitNum)
+      .skip((pageNum - 1) * limitNum);
+
+    const total = await Invitation.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      total,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(total / limitNum)
+      },
+      data: invitations.map(invitationView)
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invitations'
+    });
+  }
+};
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/invitations/:id
+// @access  Private (users:invite)
+exports.revokeInvitation = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invitation id'
+      });
+    }
+
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: req.params.id, ...pendingQuery() },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending invitation not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked successfully',
+      data: invitationView(invitation)
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking invitation'
+    });
+  }
+};
+
+// @desc    Look up an invitation from its link (to prefill the signup form)
+// @route   GET /api/invitations/accept/:token
+// @access  Public
+exports.getInvitationByToken = async (req, res) => {
+  try {
+    const invitation = await findPendingByToken(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid, revoked or has expired'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invitation'
+    });
+  }
+};
+
+// @desc    Accept an invitation and create the account with its role
+// @route   POST /api/invitations/accept/:token
+// @access  Public
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Claim the invitation atomically so it can only be used once
+    const invitation = await Invitation.findOneAndUpdate(
+      { tokenHash: hashToken(req.params.token), ...pendingQuery() },
+      { $set: { acceptedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid, revoked or has expired'
+      });
+    }
+
+    let user;
+    try {
+      // The email address is proven by the invitation link itself
+      user = await User.create({
+        name: req.body.name,
+        email: invitation.email,
+        password: req.body.password,
+        role: ROLES.includes(invitation.role) ? invitation.role : 'user',
+        isEmailVerified: true
+      });
+    } catch (createError) {
+      // Release the invitation so it can be retried
+      invitation.acceptedAt = null;
+      await invitation.save();
+
+      if (createError.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'User already exists with this email'
+        });
+      }
+      throw createError;
+    }
+
+    invitation.acceptedUser = user._id;
+    await invitation.save();
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation accepted, account created successfully',
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isEmailVerified: user.isEmailVerified
+      }
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while accepting invitation'
+    });
+  }
+};
@@ -0,0 +1,110 @@
+// controllers/postAnalyticsController.js
+'use strict';
+
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const PostDailyStat = require('../models/PostDailyStat');
+const { hasPermission } = require('../config/roles');
+const { REACTION_TYPES, reactionCountsOf } = require('../config/reactions');
+const { DAY_MS, dayStart, parseDay, formatDay } = require('../utils/postAnalytics');
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 366;
+
+/* ===========================================================
+   POST ANALYTICS (daily time series)
+   GET /api/posts/:id/analytics?from=YYYY-MM-DD&to=YYYY-MM-DD
+   Defaults to the last 30 days (UTC); authors see their own posts
+   =========================================================== */
+exports.getPostAnalytics = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid post id' });
+    }
+
+    const to = req.query.to ? parseDay(req.query.to) : dayStart();
+    const from = req.query.from ? parseDay(req.query.from) : new Date(to - (DEFAULT_DAYS - 1) * DAY_MS);
+
+    if (!from || !to) {
+      return res.status(400).json({ success: false, message: 'Dates must use the YYYY-MM-DD format' });
+    }
+    const days = Math.round((to - from) / DAY_MS) + 1;
+    if (days < 1 || days > MAX_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `"from" must be on or before "to", and the range at most ${MAX_DAYS} days`
+      });
+    }
+
+    const post = await Post.findById(req.params.id)
+      .select('title_en title_np slug author views reactionCounts commentCount publishedAt createdAt')
+      .lean();
+    if (!post) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+
+    const isAuthor = post.author && post.author.equals(req.user._id);
+    if (!isAuthor && !hasPermission(req.user.role, 'posts:readAll')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view analytics of your own posts'
+      });
+    }
+
+    const stats = await PostDailyStat.find({ post: post._id, date: { $gte: from, $lte: to } }).lean();
+    const statsByDay = new Map(stats.map((stat) => [formatDay(stat.date), stat]));
+
+    const totals = { views: 0, likes: 0, reactions: reactionCountsOf({}), comments: 0 };
+
+    // One entry per day, zero-filled where nothing happened
+    const series = Array.from({ length: days }, (_, i) => {
+      const date = formatDay(new Date(from.getTime() + i * DAY_MS));
+      const stat = statsByDay.get(date) || {};
+      const reactions = REACTION_TYPES.reduce((acc, type) => {
+        acc[type] = (stat.reactions && stat.reactions[type]) || 0;
+        totals.reactions[type] += acc[type];
+        return acc;
+      }, {});
+
+      totals.views += stat.views || 0;
+      totals.likes += reactions.like;
+      totals.comments += stat.comments || 0;
+
+      return {
+        date,
+        views: stat.views || 0,
+        likes: reactions.like,
+        reactions,
+        comments: stat.comments || 0
+      };
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        post: {
+          id: post._id,
+          title_en: post.title_en,
+          title_np: post.title_np,
+          slug: post.slug,
+          publishedAt: post.publishedAt || post.createdAt
+        },
+        range: { from: formatDay(from), to: formatDay(to), days },
+        // All-time counters, for comparison with the range totals
+        lifetime: {
+          views: post.views || 0,
+          reactions: reactionCountsOf(post),
+          comments: post.commentCount || 0
+        },
+        totals,
+        series
+      }
+    });
+  } catch (error) {
+    console.error('Get post analytics error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching post analytics'
+    });
+  }
+};
@@ -1,12 +1,31 @@
 // controllers/postController.js
 'use strict';
 
+const mongoose = require('mongoose');
 const Post = require('../models/Post');
-const User = require('../models/User');
+const PostRevision = require('../models/PostRevision');
+const Comment = require('../models/Comment');
+const Reaction = require('../models/Reaction');
+const PostDailyStat = require('../models/PostDailyStat');
+const { recordRevision, ensureBaselineRevision } = require('../utils/postRevisions');
+const { resolvePostSlug } = require('../utils/slugs');
+const { reactionCountsOf } = require('../config/reactions');
+const { trackPostView } = require('../utils/postAnalytics');
+const { buildSearchFilter, queryTerms, highlight, snippet, romanizedSearchText } = require('../utils/search');
+const { MAX_RELATED, findRelatedPosts } = require('../utils/relatedPosts');
+const { resolveTags } = require('../utils/tags');
+const { listCategories } = require('../utils/categories');
+const { clearPostCaches } = require('../utils/postCaches');
+const { sendValidationError } = require('../utils/validationErrors');
+const { hasPermission } = require('../config/roles');
+const { WORKFLOW_STATES, AUTHOR_EDITABLE_STATES, workflowStateOf } = require('../config/postWorkflow');
 const { cloudinary } = require('../config/cloudinary.config');
 const fs = require('fs');
 const path = require('path');
 
+// Counters maintained by the view, reaction and comment endpoints
+const COUNTER_FIELDS = ['views', 'reactionCounts', 'commentCount'];
+
 /**
  * Helper: Try to delete an image resource.
  * - Prefer using stored `imagePublicId` (Cloudinary public_id).
@@ -92,6 +111,209 @@ async function deleteImageResource(post) {
   }
 }
 
+/**
+ * Helper: Normalize scheduling fields from a create/update body.
+ * - Empty strings clear `publishAt` / `unpublishAt` (multipart sends strings).
+ * - `unpublishAt` must come after `publishAt` (checked against the merged
+ *   values: updates go through findByIdAndUpdate, which skips the model hook).
+ *   Throws a ValidationError otherwise.
+ * - A future `publishAt` keeps the post unpublished until the scheduler flips it.
+ * - `publishedAt` is stamped the first time a post goes live immediately.
+ * - Publishing or rescheduling clears a previous scheduled unpublish (`unpublishedAt`).
+ */
+function applySchedule(data, existingPost = null) {
+  ['publishAt', 'unpublishAt'].forEach((field) => {
+    if (data[field] === '' || data[field] === 'null') data[field] = null;
+  });
+  delete data.unpublishedAt;
+
+  const now = new Date();
+  const publishAt = data.publishAt !== undefined
+    ? data.publishAt && new Date(data.publishAt)
+    : existingPost && existingPost.publishAt;
+  const unpublishAt = data.unpublishAt !== undefined
+    ? data.unpublishAt && new Date(data.unpublishAt)
+    : existingPost && existingPost.unpublishAt;
+
+  if (publishAt && unpublishAt && unpublishAt <= publishAt) {
+    const error = new mongoose.Error.ValidationError();
+    error.addError('unpublishAt', new mongoose.Error.ValidatorError({
+      path: 'unpublishAt',
+      message: 'Unpublish time must be after the publish time'
+    }));
+    throw error;
+  }
+
+  if (publishAt && publishAt > now) {
+    data.published = false;
+  }
+
+  const willBePublished = data.published !== undefined
+    ? data.published === true || data.published === 'true'
+    : existingPost ? existingPost.published : true;
+
+  const wasPublished = Boolean(existingPost && (existingPost.published || existingPost.publishedAt));
+  if (willBePublished && !wasPublished) {
+    data.publishedAt = now;
+  }
+
+  if (willBePublished || (data.publishAt && publishAt > now)) {
+    data.unpublishedAt = null;
+  }
+
+  return data;
+}
+
+/**
+ * Helper: Keep publishing decisions with publishers and workflow fields in sync.
+ * Call before applySchedule() with `stage: 'strip'`, after it with `stage: 'sync'`.
+ * - Non-publishers (contributors) cannot touch visibility or scheduling; their
+ *   new posts start as drafts and reach the public only through the workflow.
+ * - Nobody sets workflow state, reviewer, notes or counters through create/update bodies.
+ * - For publishers, `published` / a future `publishAt` map onto the workflow state.
+ */
+function applyWorkflowFields(data, user, existingPost = null, stage = 'strip') {
+  const canPublish = hasPermission(user.role, 'posts:publish');
+
+  if (stage === 'strip') {
+    ['workflowState', 'reviewer', 'reviewNotes', 'author', 'publishedAt'].forEach((field) => delete data[field]);
+
+    // Counters are kept by their own endpoints; bodies may not set them
+    // (nor any update operator or dotted path such as `reactionCounts.like`)
+    Object.keys(data)
+      .filter((key) => key.startsWith('$') || COUNTER_FIELDS.includes(key.split('.')[0]))
+      .forEach((key) => delete data[key]);
+
+    if (!canPublish) {
+      ['published', 'publishAt', 'unpublishAt', 'featured'].forEach((field) => delete data[field]);
+      if (!existingPost) {
+        data.published = false;
+        data.workflowState = 'draft';
+      }
+    }
+    return data;
+  }
+
+  if (!canPublish) return data;
+
+  const wasPublished = existingPost ? workflowStateOf(existingPost) === 'published' : false;
+  const isPublished = data.published !== undefined
+    ? data.published === true || data.published === 'true'
+    : existingPost ? existingPost.published : true;
+  const isScheduled = data.publishAt && new Date(data.publishAt) > new Date();
+
+  if (isPublished) {
+    data.workflowState = 'published';
+  } else if (isScheduled) {
+    // Scheduling a post is a publishing decision: it counts as approved
+    data.workflowState = 'approved';
+  } else if (wasPublished || !existingPost) {
+    data.workflowState = 'draft';
+  }
+
+  return data;
+}
+
+/**
+ * Helper: Slugs are derived from the titles, never taken from the body.
+ * New posts get theirs from the Post model's validate hook; updates go
+ * through findByIdAndUpdate (no document hooks), so they are resolved here.
+ */
+async function applySlug(data, existingPost = null) {
+  delete data.slug;
+  delete data.slugHistory;
+
+  if (!existingPost) return data;
+
+  const titlesChanged = ['title_en', 'title_np']
+    .some((field) => data[field] !== undefined && data[field] !== existingPost[field]);
+  if (existingPost.slug && !titlesChanged) return data;
+
+  const slugFields = await resolvePostSlug(Post, {
+    _id: existingPost._id,
+    title_en: data.title_en !== undefined ? data.title_en : existingPost.title_en,
+    title_np: data.title_np !== undefined ? data.title_np : existingPost.title_np,
+    slug: existingPost.slug,
+    slugHistory: existingPost.slugHistory
+  });
+
+  return slugFields ? Object.assign(data, slugFields) : data;
+}
+
+/**
+ * Helper: The Post model only accepts active categories. An unchanged
+ * category is left out of the update so posts can stay in one deactivated
+ * since; a new one is validated here, before the old image is replaced.
+ */
+async function applyCategory(data, existingPost) {
+  if (data.category === undefined) return data;
+  if (data.category === existingPost.category) {
+    delete data.category;
+    return data;
+  }
+  await Post.validate({ category: data.category }, ['category']);
+  return data;
+}
+
+/**
+ * Helper: Keep the hidden romanized search field in step with the Nepali
+ * fields (the Post model's validate hook does this for saves).
+ */
+function applySearchText(data, existingPost) {
+  delete data.searchRomanized;
+
+  const nepaliChanged = ['title_np', 'excerpt_np', 'content_np'].some((field) => data[field] !== undefined);
+  if (!nepaliChanged) return data;
+
+  data.searchRomanized = romanizedSearchText({ ...existingPost.toObject(), ...data });
+  return data;
+}
+
+/**
+ * Helper: Public single-post shape shared by GET /:id and GET /slug/:slug.
+ */
+function publicPostView(post, language) {
+  return {
+    id: post._id,
+    slug: post.slug,
+    title: post[`title_${language}`] || post.title_en || 'Untitled',
+    content: post[`content_${language}`] || post.content_en || '',
+    excerpt: post[`excerpt_${language}`] || post.excerpt_en || '',
+    category: post.category,
+    image: post.image || null,
+    author: post.author || null,
+    tags: post.tags || [],
+    featured: post.featured || false,
+    views: post.views || 0,
+    likes: reactionCountsOf(post).like,
+    reactions: reactionCountsOf(post),
+    // Comments themselves are paginated through GET /api/posts/:id/comments
+    comments: post.commentCount || 0,
+    publishedAt: post.publishedAt || post.publishAt || post.createdAt,
+    updatedAt: post.updatedAt
+  };
+}
+
+/**
+ * Helper: Highlighted title and content snippet of a search result, in the
+ * requested language, falling back to the other one when the terms only
+ * occur there (e.g. a Nepali query on the English listing).
+ */
+function searchHighlight(post, language, terms) {
+  const other = language === 'np' ? 'en' : 'np';
+  const lowered = terms.map((term) => term.toLowerCase());
+  const mentions = (lang) => lowered.some((term) => (
+    `${post[`title_${lang}`] || ''} ${post[`content_${lang}`] || ''}`.toLowerCase().includes(term)
+  ));
+  const lang = !mentions(language) && mentions(other) ? other : language;
+
+  return {
+    language: lang,
+    title: highlight(post[`title_${lang}`] || post.title_en || '', terms),
+    snippet: snippet(post[`content_${lang}`] || post[`excerpt_${lang}`] || '', terms)
+  };
+}
+
 /* ===========================================================
    GET ALL POSTS (PUBLIC)
    GET /api/posts
@@ -104,31 +326,34 @@ exports.getPosts = async (req, res) => {
       category,
       featured,
       search,
-      sort = '-createdAt',
       language = 'en'
     } = req.query;
+    // Searches are ranked by relevance unless a sort is asked for
+    const sort = req.query.sort || (search ? { score: { $meta: 'textScore' } } : '-createdAt');
 
     console.log('getPosts query:', req.query);
 
     const pageNum = Math.max(parseInt(page, 10) || 1, 1);
     const limitNum = Math.max(parseInt(limit, 10) || 10, 1);
 
-    // Base: only published posts for public endpoint
-    const query = { published: true };
+    // Base: only posts that are public right now (published and within schedule)
+    const query = Post.visibleFilter();
 
     if (category) query.category = category;
     if (featured !== undefined) query.featured = featured === 'true' || featured === true;
-    if (search) query.$text = { $search: search };
+    if (search) query.$and.push(buildSearchFilter(search, await listCategories()));
 
-    const posts = await Post.find(query)
+    const posts = await Post.find(query, search ? { score: { $meta: 'textScore' } } : {})
       .populate('author', 'name email avatar')
       .sort(sort)
       .limit(limitNum)
       .skip((pageNum - 1) * limitNum)
       .lean();
 
+    const terms = queryTerms(search);
     const transformedPosts = posts.map((post) => ({
       id: post._id,
+      slug: post.slug,
       title: post[`title_${language}`] || post.title_en || 'Untitled',
       content: post[`content_${language}`] || post.content_en || '',
       excerpt: post[`excerpt_${language}`] || post.excerpt_en || '',
@@ -138,10 +363,15 @@ exports.getPosts = async (req, res) => {
       tags: post.tags || [],
       featured: post.featured || false,
       views: post.views || 0,
-      likes: (post.likes && post.likes.length) || 0,
-      comments: (post.comments && post.comments.length) || 0,
-      publishedAt: post.createdAt,
-      updatedAt: post.updatedAt
+      likes: reactionCountsOf(post).like,
+      reactions: reactionCountsOf(post),
+      comments: post.commentCount || 0,
+      publishedAt: post.publishedAt || post.publishAt || post.createdAt,
+      updatedAt: post.updatedAt,
+      ...(search && {
+        score: post.score || 0,
+        highlight: searchHighlight(post, language, terms)
+      })
     }));
 
     const total = await Post.countDocuments(query);
@@ -178,6 +408,9 @@ exports.getAdminPosts = async (req, res) => {
       category,
       featured,
       search,
+      status,
+      workflowState,
+      reviewer,
       sort = '-createdAt',
       language = 'en'
     } = req.query;
@@ -186,13 +419,68 @@ exports.getAdminPosts = async (req, res) => {
     const limitNum = Math.max(parseInt(limit, 10) || 12, 1);
 
     const query = {}; // admin can see drafts and published
+    const conditions = [];
+
+    // Contributors only see their own posts
+    if (!hasPermission(req.user.role, 'posts:readAll')) {
+      conditions.push({ author: req.user._id });
+    }
+
+    // Filter by schedule status (draft | scheduled | published | unpublished)
+    const now = new Date();
+    const statusFilters = {
+      draft: { published: false, publishAt: null, unpublishedAt: null },
+      scheduled: { published: false, publishAt: { $gt: now } },
+      published: Post.visibleFilter(now),
+      unpublished: {
+        $or: [
+          { unpublishAt: { $ne: null, $lte: now } },
+          { published: false, unpublishedAt: { $ne: null } }
+        ]
+      }
+    };
+    if (status) {
+      if (!statusFilters[status]) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status. Allowed: ${Object.keys(statusFilters).join(', ')}`
+        });
+      }
+      conditions.push(statusFilters[status]);
+    }
+
+    // Filter by editorial workflow state (posts predating the workflow derive it from `published`)
+    if (workflowState) {
+      if (!WORKFLOW_STATES.includes(workflowState)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid workflowState. Allowed: ${WORKFLOW_STATES.join(', ')}`
+        });
+      }
+      const legacy = ['draft', 'published'].includes(workflowState)
+        ? [{ workflowState: { $exists: false }, published: workflowState === 'published' }]
+        : [];
+      conditions.push({ $or: [{ workflowState }, ...legacy] });
+    }
+
+    if (reviewer) {
+      if (reviewer !== 'me' && (typeof reviewer !== 'string' || !mongoose.Types.ObjectId.isValid(reviewer))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid reviewer. Use "me" or a user id'
+        });
+      }
+      conditions.push({ reviewer: reviewer === 'me' ? req.user._id : reviewer });
+    }
+    if (search) conditions.push(buildSearchFilter(search, await listCategories()));
+    if (conditions.length) query.$and = conditions;
 
     if (category) query.category = category;
     if (featured !== undefined) query.featured = featured === 'true' || featured === true;
-    if (search) query.$text = { $search: search };
 
     const posts = await Post.find(query)
       .populate('author', 'name email avatar')
+      .populate('reviewer', 'name email')
       .sort(sort)
       .limit(limitNum)
       .skip((pageNum - 1) * limitNum)
@@ -200,6 +488,7 @@ exports.getAdminPosts = async (req, res) => {
 
     const transformedPosts = posts.map((post) => ({
       id: post._id,
+      slug: post.slug,
       title_en: post.title_en,
       title_np: post.title_np,
       content_en: post.content_en,
@@ -212,10 +501,18 @@ exports.getAdminPosts = async (req, res) => {
       tags: post.tags || [],
       featured: post.featured || false,
       published: post.published || false,
+      status: Post.scheduleStatus(post, now),
+      workflowState: workflowStateOf(post),
+      reviewer: post.reviewer || null,
+      reviewNotes: (post.reviewNotes && post.reviewNotes.length) || 0,
+      publishAt: post.publishAt || null,
+      unpublishAt: post.unpublishAt || null,
+      unpublishedAt: post.unpublishedAt || null,
       views: post.views || 0,
-      likes: (post.likes && post.likes.length) || 0,
-      comments: post.comments || [],
-      publishedAt: post.createdAt,
+      likes: reactionCountsOf(post).like,
+      reactions: reactionCountsOf(post),
+      comments: post.commentCount || 0,
+      publishedAt: post.publishedAt || post.createdAt,
       updatedAt: post.updatedAt
     }));
 
@@ -249,9 +546,9 @@ exports.getPost = async (req, res) => {
   try {
     const { language = 'en' } = req.query;
 
-    const post = await Post.findById(req.params.id)
-      .populate('author', 'name email avatar bio')
-      .populate('comments.user', 'name avatar');
+    // Drafts, scheduled and expired posts are not public
+    const post = await Post.findOne({ _id: req.params.id, ...Post.visibleFilter() })
+      .populate('author', 'name email avatar bio');
 
     if (!post) {
       return res.status(404).json({
@@ -260,26 +557,8 @@ exports.getPost = async (req, res) => {
       });
     }
 
-    // Increase view count (simple increment)
-    post.views = (post.views || 0) + 1;
-    await post.save();
-
-    const transformedPost = {
-      id: post._id,
-      title: post[`title_${language}`] || post.title_en || 'Untitled',
-      content: post[`content_${language}`] || post.content_en || '',
-      excerpt: post[`excerpt_${language}`] || post.excerpt_en || '',
-      category: post.category,
-      image: post.image || null,
-      author: post.author || null,
-      tags: post.tags || [],
-      featured: post.featured || false,
-      views: post.views || 0,
-      likes: (post.likes && post.likes.length) || 0,
-      comments: post.comments || [],
-      publishedAt: post.createdAt,
-      updatedAt: post.updatedAt
-    };
+    await trackPostView(post, req);
+    const transformedPost = publicPostView(post, language);
 
     return res.status(200).json({
       success: true,
@@ -294,6 +573,124 @@ exports.getPost = async (req, res) => {
   }
 };
 
+/* ===========================================================
+   GET SINGLE POST BY SLUG
+   GET /api/posts/slug/:slug
+   Old slugs answer 301 with the current one
+   =========================================================== */
+exports.getPostBySlug = async (req, res) => {
+  try {
+    const { language = 'en' } = req.query;
+    const slug = String(req.params.slug).toLowerCase();
+
+    const post = await Post.findOne({ slug, ...Post.visibleFilter() })
+      .populate('author', 'name email avatar bio');
+
+    if (post) {
+      await trackPostView(post, req);
+      const transformedPost = publicPostView(post, language);
+      return res.status(200).json({
+        success: true,
+        data: transformedPost
+      });
+    }
+
+    // Title changed since the link was shared: point to the current slug
+    const renamed = await Post.findOne({ slugHistory: slug, ...Post.visibleFilter() }).select('slug');
+    if (renamed) {
+      const location = `${req.baseUrl}/slug/${encodeURIComponent(renamed.slug)}`;
+      return res.status(301).location(location).json({
+        success: true,
+        message: 'Post has moved to a new slug',
+        redirect: true,
+        slug: renamed.slug,
+        location
+      });
+    }
+
+    return res.status(404).json({
+      success: false,
+      message: 'Post not found'
+    });
+  } catch (error) {
+    console.error('Get post by slug error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching post'
+    });
+  }
+};
+
+/* ===========================================================
+   RELATED POSTS (PUBLIC)
+   GET /api/posts/:id/related?limit=4&language=en
+   Ranked by shared tags, same category, title similarity and recency
+   =========================================================== */
+exports.getRelatedPosts = async (req, res) => {
+  try {
+    const { language = 'en' } = req.query;
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit, 10) || 4, 1), MAX_RELATED);
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid post id' });
+    }
+
+    const post = await Post.findOne({ _id: req.params.id, ...Post.visibleFilter() })
+      .select('title_en title_np tags category')
+      .lean();
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    const ranking = await findRelatedPosts(post);
+
+    // Re-check visibility: a cached ranking may name a post unpublished since
+    const posts = await Post.find({ _id: { $in: ranking.map(({ id }) => id) }, ...Post.visibleFilter() })
+      .populate('author', 'name email avatar')
+      .lean();
+    const postsById = new Map(posts.map((related) => [String(related._id), related]));
+
+    const transformedPosts = ranking
+      .filter(({ id }) => postsById.has(id))
+      .slice(0, limitNum)
+      .map(({ id, score }) => {
+        const related = postsById.get(id);
+        return {
+          id: related._id,
+          slug: related.slug,
+          title: related[`title_${language}`] || related.title_en || 'Untitled',
+          excerpt: related[`excerpt_${language}`] || related.excerpt_en || '',
+          category: related.category,
+          image: related.image || null,
+          author: related.author || null,
+          tags: related.tags || [],
+          views: related.views || 0,
+          likes: reactionCountsOf(related).like,
+          comments: related.commentCount || 0,
+          publishedAt: related.publishedAt || related.publishAt || related.createdAt,
+          score
+        };
+      });
+
+    res.set('Cache-Control', 'public, max-age=300');
+    return res.status(200).json({
+      success: true,
+      count: transformedPosts.length,
+      data: transformedPosts
+    });
+  } catch (error) {
+    console.error('Get related posts error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching related posts'
+    });
+  }
+};
+
 /* ===========================================================
    CREATE NEW POST
    POST /api/posts
@@ -306,9 +703,10 @@ exports.createPost = async (req, res) => {
   try {
     const postData = { ...req.body };
 
-    // Handle tags sent as comma-separated string
-    if (typeof postData.tags === 'string' && postData.tags.trim().length) {
-      postData.tags = postData.tags.split(',').map((t) => t.trim());
+    // Tags arrive as a comma-separated string or an array; store their
+    // canonical names from the tag registry
+    if (postData.tags !== undefined) {
+      postData.tags = await resolveTags(postData.tags);
     }
 
     // If file uploaded via Cloudinary multer storage
@@ -319,23 +717,25 @@ exports.createPost = async (req, res) => {
       console.log('Saved Cloudinary image:', postData.image, postData.imagePublicId);
     }
 
-    // Default author if not provided
-    if (!postData.author) {
-      let defaultUser = await User.findOne({ email: 'admin@system.com' });
-      if (!defaultUser) {
-        defaultUser = await User.create({
-          name: 'System Admin',
-          email: 'admin@system.com',
-          password: 'defaultpassword',
-          role: 'admin'
-        });
-      }
-      postData.author = defaultUser._id;
-    }
+    applyWorkflowFields(postData, req.user, null, 'strip');
+    await applySlug(postData);
+
+    // Author is always the authenticated staff member creating the post
+    postData.author = req.user._id;
+
+    applySchedule(postData);
+    applyWorkflowFields(postData, req.user, null, 'sync');
 
     const createdPost = await Post.create(postData);
     await createdPost.populate('author', 'name email avatar');
 
+    try {
+      await recordRevision(createdPost, { editor: req.user, action: 'create' });
+    } catch (err) {
+      console.warn('⚠️ Failed to record post revision:', err.message);
+    }
+
+    clearPostCaches();
     console.log('✅ Post created:', createdPost._id);
 
     return res.status(201).json({
@@ -357,6 +757,8 @@ exports.createPost = async (req, res) => {
       }
     }
 
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+
     return res.status(500).json({
       success: false,
       message: 'Server error while creating post',
@@ -390,13 +792,40 @@ exports.updatePost = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Post not found' });
     }
 
+    // Contributors may only edit their own posts while they are drafts or sent back
+    if (!hasPermission(req.user.role, 'posts:review')) {
+      const isOwner = existingPost.author && existingPost.author.equals(req.user._id);
+      if (!isOwner || !AUTHOR_EDITABLE_STATES.includes(workflowStateOf(existingPost))) {
+        if (req.file && (req.file.filename || req.file.public_id)) {
+          try {
+            await cloudinary.uploader.destroy(req.file.filename || req.file.public_id);
+          } catch (err) {
+            console.warn('⚠️ Failed to delete uploaded Cloudinary file after refused update:', err.message);
+          }
+        }
+        return res.status(403).json({
+          success: false,
+          message: isOwner
+            ? `Posts in state "${workflowStateOf(existingPost)}" can no longer be edited by their author`
+            : 'You can only edit your own posts'
+        });
+      }
+    }
+
     const updateData = { ...req.body };
+    applyWorkflowFields(updateData, req.user, existingPost, 'strip');
 
-    // Handle tags string => array
-    if (typeof updateData.tags === 'string') {
-      updateData.tags = updateData.tags.split(',').map((t) => t.trim());
+    // Handle tags string => array of canonical tag names
+    if (updateData.tags !== undefined) {
+      updateData.tags = await resolveTags(updateData.tags);
     }
 
+    applySchedule(updateData, existingPost);
+    applyWorkflowFields(updateData, req.user, existingPost, 'sync');
+    await applySlug(updateData, existingPost);
+    applySearchText(updateData, existingPost);
+    await applyCategory(updateData, existingPost);
+
     // If a new image was uploaded, delete the old one (Cloudinary/local) and save new info
     if (req.file && req.file.path) {
       // Delete previous resource (if any)
@@ -412,12 +841,25 @@ exports.updatePost = async (req, res) => {
       console.log('✅ New image saved to post (cloud):', updateData.image, updateData.imagePublicId);
     }
 
+    try {
+      await ensureBaselineRevision(existingPost);
+    } catch (err) {
+      console.warn('⚠️ Failed to record baseline post revision:', err.message);
+    }
+
     // Update the post
     const updatedPost = await Post.findByIdAndUpdate(req.params.id, updateData, {
       new: true,
       runValidators: true
     }).populate('author', 'name email avatar');
 
+    try {
+      await recordRevision(updatedPost, { editor: req.user, action: 'update' });
+    } catch (err) {
+      console.warn('⚠️ Failed to record post revision:', err.message);
+    }
+
+    clearPostCaches();
     console.log('✅ Post updated:', updatedPost._id);
 
     return res.status(200).json({
@@ -439,6 +881,8 @@ exports.updatePost = async (req, res) => {
       }
     }
 
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+
     return res.status(500).json({
       success: false,
       message: 'Server error while updating post',
@@ -469,7 +913,12 @@ exports.deletePost = async (req, res) => {
     }
 
     await post.deleteOne();
+    await PostRevision.deleteMany({ post: post._id });
+    await Comment.deleteMany({ post: post._id });
+    await Reaction.deleteMany({ post: post._id });
+    await PostDailyStat.deleteMany({ post: post._id });
 
+    clearPostCaches();
     console.log('✅ Post deleted:', req.params.id);
 
     return res.status(200).json({
@@ -484,142 +933,3 @@ exports.deletePost = async (req, res) => {
     });
   }
 };
-
-/* ===========================================================
-   LIKE / UNLIKE POST
-   PUT /api/posts/:id/like
-   =========================================================== */
-exports.likePost = async (req, res) => {
-  try {
-    const post = await Post.findById(req.params.id);
-    if (!post) {
-      return res.status(404).json({
-        success: false,
-        message: 'Post not found'
-      });
-    }
-
-    // Basic behavior: no auth, use req.body.userId if provided; else 'anonymous-user'
-    const userId = req.body.userId || 'anonymous-user';
-    const likeIndex = (post.likes || []).indexOf(userId);
-
-    if (likeIndex > -1) {
-      // unlike
-      post.likes.splice(likeIndex, 1);
-    } else {
-      // like
-      post.likes = post.likes || [];
-      post.likes.push(userId);
-    }
-
-    await post.save();
-
-    return res.status(200).json({
-      success: true,
-      message: likeIndex > -1 ? 'Post unliked' : 'Post liked',
-      likes: (post.likes && post.likes.length) || 0
-    });
-  } catch (error) {
-    console.error('Like post error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Server error while liking post'
-    });
-  }
-};
-
-/* ===========================================================
-   ADD COMMENT
-   POST /api/posts/:id/comments
-   =========================================================== */
-exports.addComment = async (req, res) => {
-  try {
-    const { text, userName = 'Anonymous' } = req.body;
-
-    const post = await Post.findById(req.params.id);
-    if (!post) {
-      return res.status(404).json({ success: false, message: 'Post not found' });
-    }
-
-    let commentUser = await User.findOne({ name: userName });
-
-    if (!commentUser) {
-      try {
-        commentUser = await User.create({
-          name: userName,
-          email: `${userName.toLowerCase().replace(/\s+/g, '')}@temp.com`,
-          password: 'temppassword'
-        });
-      } catch (err) {
-        // If user creation fails for some reason, fallback to anonymous user reference
-        console.warn('⚠️ Could not create user for comment; using anonymous reference:', err.message);
-        commentUser = { _id: null, name: userName };
-      }
-    }
-
-    const newComment = {
-      user: commentUser._id || null,
-      text: text ? text.trim() : '',
-      userName
-    };
-
-    post.comments = post.comments || [];
-    post.comments.unshift(newComment);
-    await post.save();
-
-    // populate the recent comment user if possible
-    await post.populate('comments.user', 'name avatar');
-
-    return res.status(201).json({
-      success: true,
-      message: 'Comment added successfully',
-      data: post.comments[0]
-    });
-  } catch (error) {
-    console.error('Add comment error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Server error while adding comment'
-    });
-  }
-};
-
-/* ===========================================================
-   DASHBOARD STATS
-   GET /api/posts/stats
-   =========================================================== */
-exports.getStats = async (req, res) => {
-  try {
-    const totalPosts = await Post.countDocuments();
-    const publishedPosts = await Post.countDocuments({ published: true });
-    const draftPosts = await Post.countDocuments({ published: false });
-    const featuredPosts = await Post.countDocuments({ featured: true });
-
-    const viewsResult = await Post.aggregate([
-      { $group: { _id: null, totalViews: { $sum: { $ifNull: ['$views', 0] } } } }
-    ]);
-    const totalViews = (viewsResult && viewsResult[0] && viewsResult[0].totalViews) || 0;
-
-    const totalUsers = await User.countDocuments();
-
-    return res.status(200).json({
-      success: true,
-      data: {
-        totalPosts,
-        publishedPosts,
-        draftPosts,
-        featuredPosts,
-        totalViews,
-        totalUsers,
-        monthlyPosts: Math.floor(totalPosts / 12),
-        monthlyViews: Math.floor(totalViews / 12)
-      }
-    });
-  } catch (error) {
-    console.error('Get stats error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Server error while fetching stats'
-    });
-  }
-};
@@ -0,0 +1,187 @@
+// controllers/postRevisionController.js
+'use strict';
+
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const { REVISION_FIELDS, diffSnapshots, recordRevision } = require('../utils/postRevisions');
+const { clearPostCaches } = require('../utils/postCaches');
+const { sendValidationError } = require('../utils/validationErrors');
+
+// Fields never restored: the old image may already be deleted from Cloudinary,
+// and visibility is controlled by the editorial workflow rather than by content history
+const NON_RESTORABLE_FIELDS = ['image', 'published', 'publishAt', 'unpublishAt'];
+
+/**
+ * Helper: Validate :id and load the post. Sends 400/404 and returns null on failure.
+ */
+async function loadPost(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid post id' });
+    return null;
+  }
+
+  const post = await Post.findById(req.params.id);
+  if (!post) {
+    res.status(404).json({ success: false, message: 'Post not found' });
+    return null;
+  }
+
+  return post;
+}
+
+/* ===========================================================
+   LIST REVISIONS
+   GET /api/posts/:id/revisions
+   =========================================================== */
+exports.getRevisions = async (req, res) => {
+  try {
+    const post = await loadPost(req, res);
+    if (!post) return;
+
+    const revisions = await PostRevision.find({ post: post._id })
+      .select('-snapshot')
+      .populate('editor', 'name email')
+      .sort('-revision')
+      .lean();
+
+    return res.status(200).json({
+      success: true,
+      count: revisions.length,
+      data: revisions
+    });
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching revisions'
+    });
+  }
+};
+
+/* ===========================================================
+   GET ONE REVISION (full snapshot)
+   GET /api/posts/:id/revisions/:rev
+   =========================================================== */
+exports.getRevision = async (req, res) => {
+  try {
+    const post = await loadPost(req, res);
+    if (!post) return;
+
+    const revision = await PostRevision.findOne({ post: post._id, revision: parseInt(req.params.rev, 10) })
+      .populate('editor', 'name email')
+      .lean();
+
+    if (!revision) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+
+    return res.status(200).json({ success: true, data: revision });
+  } catch (error) {
+    console.error('Get revision error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching revision'
+    });
+  }
+};
+
+/* ===========================================================
+   DIFF TWO REVISIONS
+   GET /api/posts/:id/revisions/diff?from=1&to=3
+   `to` defaults to the latest revision, `from` to the one before `to`
+   =========================================================== */
+exports.diffRevisions = async (req, res) => {
+  try {
+    const post = await loadPost(req, res);
+    if (!post) return;
+
+    const latest = await PostRevision.findOne({ post: post._id }).sort('-revision').lean();
+    if (!latest) {
+      return res.status(404).json({ success: false, message: 'Post has no revisions' });
+    }
+
+    const toNum = req.query.to !== undefined ? parseInt(req.query.to, 10) : latest.revision;
+    const fromNum = req.query.from !== undefined ? parseInt(req.query.from, 10) : toNum - 1;
+
+    if (Number.isNaN(fromNum) || Number.isNaN(toNum)) {
+      return res.status(400).json({ success: false, message: '`from` and `to` must be revision numbers' });
+    }
+
+    const [from, to] = await Promise.all([
+      PostRevision.findOne({ post: post._id, revision: fromNum }).lean(),
+      PostRevision.findOne({ post: post._id, revision: toNum }).lean()
+    ]);
+
+    if (!from || !to) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        from: from.revision,
+        to: to.revision,
+        changes: diffSnapshots(from.snapshot, to.snapshot)
+      }
+    });
+  } catch (error) {
+    console.error('Diff revisions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while comparing revisions'
+    });
+  }
+};
+
+/* ===========================================================
+   RESTORE A REVISION
+   POST /api/posts/:id/revisions/:rev/restore
+   Records the restore itself as a new revision
+   =========================================================== */
+exports.restoreRevision = async (req, res) => {
+  try {
+    const post = await loadPost(req, res);
+    if (!post) return;
+
+    const revNum = parseInt(req.params.rev, 10);
+    const revision = await PostRevision.findOne({ post: post._id, revision: revNum }).lean();
+    if (!revision) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+
+    REVISION_FIELDS
+      .filter((field) => !NON_RESTORABLE_FIELDS.includes(field))
+      .forEach((field) => {
+        post[field] = revision.snapshot[field] !== undefined ? revision.snapshot[field] : null;
+      });
+
+    await post.save();
+    clearPostCaches();
+
+    const newRevision = await recordRevision(post, {
+      editor: req.user,
+      action: 'restore',
+      restoredFrom: revNum
+    });
+
+    await post.populate('author', 'name email avatar');
+
+    console.log(`↩️ Post ${post._id} restored to revision ${revNum}`);
+
+    return res.status(200).json({
+      success: true,
+      message: `Post restored to revision ${revNum}`,
+      revision: newRevision ? newRevision.revision : null,
+      data: post
+    });
+  } catch (error) {
+    console.error('Restore revision error:', error);
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while restoring revision',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,285 @@
+// controllers/postWorkflowController.js
+'use strict';
+
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { hasPermission } = require('../config/roles');
+const { WORKFLOW_STATES, transitionPermission, workflowStateOf } = require('../config/postWorkflow');
+const { recordRevision, ensureBaselineRevision } = require('../utils/postRevisions');
+const { clearPostCaches } = require('../utils/postCaches');
+const { sendValidationError } = require('../utils/validationErrors');
+
+/**
+ * Helper: Validate :id and load the post. Sends 400/404 and returns null on failure.
+ */
+async function loadPost(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid post id' });
+    return null;
+  }
+
+  const post = await Post.findById(req.params.id);
+  if (!post) {
+    res.status(404).json({ success: false, message: 'Post not found' });
+    return null;
+  }
+
+  return post;
+}
+
+/**
+ * Helper: Whether the user is the post's author.
+ */
+function isAuthor(post, user) {
+  return Boolean(post.author && post.author.equals(user._id));
+}
+
+/**
+ * Helper: Shape returned by workflow endpoints.
+ */
+function workflowView(post) {
+  return {
+    id: post._id,
+    workflowState: workflowStateOf(post),
+    published: post.published,
+    reviewer: post.reviewer || null,
+    reviewNotes: post.reviewNotes || []
+  };
+}
+
+/* ===========================================================
+   MOVE POST TO ANOTHER WORKFLOW STATE
+   POST /api/posts/:id/workflow
+   Body: { state, note?, reviewerId? }
+   =========================================================== */
+exports.transitionPost = async (req, res) => {
+  try {
+    const { state, note, reviewerId } = req.body;
+
+    if (!WORKFLOW_STATES.includes(state)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid state. Allowed: ${WORKFLOW_STATES.join(', ')}`
+      });
+    }
+
+    const post = await loadPost(req, res);
+    if (!post) return;
+
+    const from = workflowStateOf(post);
+    const permission = transitionPermission(from, state);
+
+    if (!permission) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot move a post from "${from}" to "${state}"`
+      });
+    }
+
+    if (!hasPermission(req.user.role, permission)) {
+      return res.status(403).json({
+        success: false,
+        message: `User role ${req.user.role} cannot move a post from "${from}" to "${state}"`,
+        requiredPermission: permission
+      });
+    }
+
+    // Submitting / withdrawing is limited to the author unless the user can review
+    if (permission === 'posts:submit' && !isAuthor(post, req.user) && !hasPermission(req.user.role, 'posts:review')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only submit your own posts for review'
+      });
+    }
+
+    // Optional reviewer chosen when submitting
+    if (reviewerId && state === 'inReview') {
+      const reviewer = mongoose.Types.ObjectId.isValid(reviewerId) && await User.findById(reviewerId);
+      if (!reviewer || !reviewer.isActive || !hasPermission(reviewer.role, 'posts:review')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reviewer must be an active user allowed to review posts'
+        });
+      }
+      post.reviewer = reviewer._id;
+    }
+
+    post.workflowState = state;
+
+    if (state === 'published') {
+      post.published = true;
+      post.publishAt = null;
+      post.unpublishedAt = null;
+      if (!post.publishedAt) post.publishedAt = new Date();
+    } else if (from === 'published') {
+      post.published = false;
+    } else if (from === 'approved') {
+      // A scheduled publish date is part of the approval; sending the post
+      // back cancels it so the scheduler cannot publish it anyway
+      post.publishAt = null;
+    }
+
+    if (note && String(note).trim()) {
+      post.reviewNotes.push({
+        author: req.user._id,
+        text: String(note).trim(),
+        fromState: from,
+        toState: state
+      });
+    }
+
+    try {
+      await ensureBaselineRevision(post);
+    } catch (err) {
+      console.warn('⚠️ Failed to record baseline post revision:', err.message);
+    }
+
+    await post.save();
+    clearPostCaches();
+
+    try {
+      await recordRevision(post, { editor: req.user, action: 'update' });
+    } catch (err) {
+      console.warn('⚠️ Failed to record post revision:', err.message);
+    }
+
+    await post.populate('reviewer', 'name email');
+    await post.populate('reviewNotes.author', 'name email');
+
+    console.log(`🔀 Post ${post._id}: ${from} → ${state} by ${req.user.email}`);
+
+    return res.status(200).json({
+      success: true,
+      message: `Post moved from "${from}" to "${state}"`,
+      data: workflowView(post)
+    });
+  } catch (error) {
+    console.error('Post workflow error:', error);
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while changing post workflow state'
+    });
+  }
+};
+
+/* ===========================================================
+   ASSIGN / UNASSIGN REVIEWER
+   PUT /api/posts/:id/reviewer
+   Body: { reviewerId } (null to unassign)
+   =========================================================== */
+exports.assignReviewer = async (req, res) => {
+  try {
+    const post = await loadPost(req, res);
+    if (!post) return;
+
+    const { reviewerId } = req.body;
+
+    if (reviewerId) {
+      const reviewer = mongoose.Types.ObjectId.isValid(reviewerId) && await User.findById(reviewerId);
+      if (!reviewer || !reviewer.isActive || !hasPermission(reviewer.role, 'posts:review')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reviewer must be an active user allowed to review posts'
+        });
+      }
+      post.reviewer = reviewer._id;
+    } else {
+      post.reviewer = null;
+    }
+
+    await post.save();
+    await post.populate('reviewer', 'name email');
+
+    return res.status(200).json({
+      success: true,
+      message: reviewerId ? 'Reviewer assigned successfully' : 'Reviewer removed successfully',
+      data: workflowView(post)
+    });
+  } catch (error) {
+    console.error('Assign reviewer error:', error);
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while assigning reviewer'
+    });
+  }
+};
+
+/* ===========================================================
+   REVIEW NOTES
+   GET  /api/posts/:id/review-notes
+   POST /api/posts/:id/review-notes   Body: { text }
+   Authors see notes on their own posts; reviewers see all
+   =========================================================== */
+exports.getReviewNotes = async (req, res) => {
+  try {
+    const post = await loadPost(req, res);
+    if (!post) return;
+
+    if (!isAuthor(post, req.user) && !hasPermission(req.user.role, 'posts:readAll')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view review notes on your own posts'
+      });
+    }
+
+    await post.populate('reviewNotes.author', 'name email');
+
+    return res.status(200).json({
+      success: true,
+      count: post.reviewNotes.length,
+      data: post.reviewNotes
+    });
+  } catch (error) {
+    console.error('Get review notes error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching review notes'
+    });
+  }
+};
+
+exports.addReviewNote = async (req, res) => {
+  try {
+    const text = req.body.text ? String(req.body.text).trim() : '';
+    if (!text) {
+      return res.status(400).json({ success: false, message: 'Note text is required' });
+    }
+
+    const post = await loadPost(req, res);
+    if (!post) return;
+
+    // Authors may reply on their own posts; reviewers on any post
+    if (!isAuthor(post, req.user) && !hasPermission(req.user.role, 'posts:review')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only comment on posts you author or review'
+      });
+    }
+
+    const state = workflowStateOf(post);
+    post.reviewNotes.push({
+      author: req.user._id,
+      text,
+      fromState: state,
+      toState: state
+    });
+    await post.save();
+    await post.populate('reviewNotes.author', 'name email');
+
+    return res.status(201).json({
+      success: true,
+      message: 'Review note added successfully',
+      data: post.reviewNotes[post.reviewNotes.length - 1]
+    });
+  } catch (error) {
+    console.error('Add review note error:', error);
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while adding review note'
+    });
+  }
+};
@@ -0,0 +1,239 @@
+// controllers/reactionController.js
+'use strict';
+
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Reaction = require('../models/Reaction');
+const { REACTION_TYPES, reactionCountsOf } = require('../config/reactions');
+const { recordDailyStats } = require('../utils/postAnalytics');
+
+const MAX_POST_IDS = 100;
+
+/**
+ * Helper: Validate :id and :type, and check the post is public.
+ * Sends 400/404 and returns null on failure.
+ */
+async function loadReactablePost(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid post id' });
+    return null;
+  }
+
+  const type = req.params.type || 'like';
+  if (!REACTION_TYPES.includes(type)) {
+    res.status(400).json({
+      success: false,
+      message: `Invalid reaction. Allowed: ${REACTION_TYPES.join(', ')}`
+    });
+    return null;
+  }
+
+  const post = await Post.exists({ _id: req.params.id, ...Post.visibleFilter() });
+  if (!post) {
+    res.status(404).json({ success: false, message: 'Post not found' });
+    return null;
+  }
+
+  return { postId: post._id, type };
+}
+
+/**
+ * Helper: Add a reaction once. Returns true if it was new.
+ * The unique (post, actorKey, type) index settles simultaneous requests.
+ */
+async function addOnce(postId, type, visitor) {
+  try {
+    const result = await Reaction.updateOne(
+      { post: postId, actorKey: visitor.key, type },
+      { $setOnInsert: { user: visitor.user } },
+      { upsert: true }
+    );
+    if (result.upsertedCount !== 1) return false;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  await Post.updateOne({ _id: postId }, { $inc: { [`reactionCounts.${type}`]: 1 } });
+  await recordDailyStats(postId, { [`reactions.${type}`]: 1 });
+  return true;
+}
+
+/**
+ * Helper: Remove a reaction if present. Returns true if one was removed.
+ */
+async function removeOnce(postId, type, visitor) {
+  const result = await Reaction.deleteOne({ post: postId, actorKey: visitor.key, type });
+  if (result.deletedCount !== 1) return false;
+
+  await Post.updateOne({ _id: postId }, { $inc: { [`reactionCounts.${type}`]: -1 } });
+  await recordDailyStats(postId, { [`reactions.${type}`]: -1 });
+  return true;
+}
+
+/**
+ * Helper: Reaction types the visitor gave each of the given posts.
+ */
+async function reactionsByPost(postIds, visitor) {
+  const reactions = await Reaction.find({ actorKey: visitor.key, post: { $in: postIds } })
+    .select('post type')
+    .lean();
+
+  return reactions.reduce((byPost, reaction) => {
+    const key = String(reaction.post);
+    byPost[key] = [...(byPost[key] || []), reaction.type];
+    return byPost;
+  }, {});
+}
+
+/**
+ * Helper: Send the post's current counts plus the visitor's own reactions.
+ */
+async function sendReactionState(res, postId, visitor, { status = 200, message } = {}) {
+  const post = await Post.findById(postId).select('reactionCounts').lean();
+  const mine = (await reactionsByPost([postId], visitor))[String(postId)] || [];
+
+  return res.status(status).json({
+    success: true,
+    ...(message && { message }),
+    data: {
+      reactions: reactionCountsOf(post),
+      mine,
+      ...(visitor.visitorId && { visitorId: visitor.visitorId })
+    }
+  });
+}
+
+/* ===========================================================
+   ADD REACTION
+   PUT /api/posts/:id/reactions/:type
+   Idempotent: reacting twice with the same type changes nothing
+   =========================================================== */
+exports.addReaction = async (req, res) => {
+  try {
+    const target = await loadReactablePost(req, res);
+    if (!target) return;
+
+    const added = await addOnce(target.postId, target.type, req.visitor);
+
+    return sendReactionState(res, target.postId, req.visitor, {
+      message: added ? 'Reaction added' : 'Reaction already given'
+    });
+  } catch (error) {
+    console.error('Add reaction error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while adding reaction'
+    });
+  }
+};
+
+/* ===========================================================
+   REMOVE REACTION
+   DELETE /api/posts/:id/reactions/:type
+   =========================================================== */
+exports.removeReaction = async (req, res) => {
+  try {
+    const target = await loadReactablePost(req, res);
+    if (!target) return;
+
+    const removed = await removeOnce(target.postId, target.type, req.visitor);
+
+    return sendReactionState(res, target.postId, req.visitor, {
+      message: removed ? 'Reaction removed' : 'Reaction was not given'
+    });
+  } catch (error) {
+    console.error('Remove reaction error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while removing reaction'
+    });
+  }
+};
+
+/* ===========================================================
+   LIKE / UNLIKE POST (toggle, kept for existing clients)
+   PUT /api/posts/:id/like
+   =========================================================== */
+exports.likePost = async (req, res) => {
+  try {
+    const target = await loadReactablePost(req, res);
+    if (!target) return;
+
+    const unliked = await removeOnce(target.postId, 'like', req.visitor);
+    if (!unliked) await addOnce(target.postId, 'like', req.visitor);
+
+    const post = await Post.findById(target.postId).select('reactionCounts').lean();
+
+    return res.status(200).json({
+      success: true,
+      message: unliked ? 'Post unliked' : 'Post liked',
+      liked: !unliked,
+      likes: reactionCountsOf(post).like,
+      ...(req.visitor.visitorId && { visitorId: req.visitor.visitorId })
+    });
+  } catch (error) {
+    console.error('Like post error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while liking post'
+    });
+  }
+};
+
+/* ===========================================================
+   REACTIONS OF ONE POST (counts + the visitor's own)
+   GET /api/posts/:id/reactions
+   =========================================================== */
+exports.getPostReactions = async (req, res) => {
+  try {
+    const target = await loadReactablePost(req, res);
+    if (!target) return;
+
+    return sendReactionState(res, target.postId, req.visitor);
+  } catch (error) {
+    console.error('Get post reactions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reactions'
+    });
+  }
+};
+
+/* ===========================================================
+   VISITOR'S OWN REACTIONS FOR SEVERAL POSTS (list pages)
+   GET /api/posts/reactions/mine?posts=<id>,<id>
+   Returns { <postId>: ['like', ...] } for posts the visitor reacted to
+   =========================================================== */
+exports.getMyReactions = async (req, res) => {
+  try {
+    const postIds = String(req.query.posts || '')
+      .split(',')
+      .map((id) => id.trim())
+      .filter(Boolean);
+
+    if (postIds.length === 0 || postIds.length > MAX_POST_IDS) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide between 1 and ${MAX_POST_IDS} post ids in "posts"`
+      });
+    }
+    if (!postIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ success: false, message: 'Invalid post id' });
+    }
+
+    const data = await reactionsByPost(postIds, req.visitor);
+
+    return res.status(200).json({
+      success: true,
+      data,
+      ...(req.visitor.visitorId && { visitorId: req.visitor.visitorId })
+    });
+  } catch (error) {
+    console.error('Get my reactions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reactions'
+    });
+  }
+};
@@ -0,0 +1,57 @@
+// controllers/sitemapController.js
+'use strict';
+
+const { generateSitemaps } = require('../utils/sitemap');
+
+// Crawlers may keep a sitemap for an hour; the server regenerates it as soon as posts change
+const SITEMAP_MAX_AGE_SECONDS = 60 * 60;
+
+/**
+ * Helper: Send one generated sitemap document, or 404.
+ */
+async function sendSitemap(res, name) {
+  const sitemaps = await generateSitemaps();
+  const document = sitemaps.get(name);
+
+  if (!document) {
+    return res.status(404).json({ success: false, message: 'Sitemap not found' });
+  }
+
+  res.set({
+    'Content-Type': 'application/xml; charset=utf-8',
+    'Cache-Control': `public, max-age=${SITEMAP_MAX_AGE_SECONDS}`
+  });
+  return res.status(200).send(document);
+}
+
+/* ===========================================================
+   SITEMAP (or sitemap index when there are too many URLs)
+   GET /sitemap.xml
+   =========================================================== */
+exports.getSitemap = async (req, res) => {
+  try {
+    return await sendSitemap(res, 'sitemap.xml');
+  } catch (error) {
+    console.error('Get sitemap error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while generating sitemap'
+    });
+  }
+};
+
+/* ===========================================================
+   SITEMAP PART (listed in the sitemap index)
+   GET /sitemaps/pages.xml, /sitemaps/posts-<n>.xml
+   =========================================================== */
+exports.getSitemapPart = async (req, res) => {
+  try {
+    return await sendSitemap(res, req.params.name);
+  } catch (error) {
+    console.error('Get sitemap part error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while generating sitemap'
+    });
+  }
+};
@@ -0,0 +1,276 @@
+// controllers/statsController.js
+'use strict';
+
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Member = require('../models/member');
+const Comment = require('../models/Comment');
+const PostDailyStat = require('../models/PostDailyStat');
+const { REACTION_TYPES } = require('../config/reactions');
+const { DAY_MS, dayStart, parseDay, formatDay } = require('../utils/postAnalytics');
+
+const INTERVALS = ['month', 'week'];
+const DEFAULT_PERIODS = { month: 12, week: 12 };
+const MAX_PERIODS = { month: 60, week: 260 };
+
+/**
+ * Helper: Start (midnight UTC) of the month, or the Monday-based week, containing `date`.
+ */
+function periodStart(date, interval) {
+  const day = dayStart(date);
+  if (interval === 'month') {
+    return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+  }
+  const sinceMonday = (day.getUTCDay() + 6) % 7;
+  return new Date(day.getTime() - sinceMonday * DAY_MS);
+}
+
+/**
+ * Helper: Start of the period after the one starting at `start`.
+ */
+function nextPeriod(start, interval) {
+  if (interval === 'month') {
+    return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+  }
+  return new Date(start.getTime() + 7 * DAY_MS);
+}
+
+// "2026-10" for months, the Monday ("2026-10-12") for weeks
+const periodLabel = (start, interval) => (interval === 'month' ? formatDay(start).slice(0, 7) : formatDay(start));
+
+/**
+ * Helper: Aggregation expression truncating a date field to the period start,
+ * matching periodStart().
+ */
+const truncate = (field, interval) => ({
+  $dateTrunc: {
+    date: field,
+    unit: interval,
+    timezone: 'UTC',
+    ...(interval === 'week' && { startOfWeek: 'monday' })
+  }
+});
+
+/**
+ * Helper: { <period start ISO>: { ...sums } } from aggregation rows grouped by period.
+ */
+const byPeriod = (rows) => new Map(rows.map(({ _id, ...values }) => [_id.toISOString(), values]));
+
+// Posts count as published when they went live (createdAt for posts predating publishedAt)
+const PUBLISHED_ON = {
+  $addFields: {
+    publishedOn: {
+      $cond: [
+        { $or: [{ $eq: ['$published', true] }, { $ne: [{ $ifNull: ['$publishedAt', null] }, null] }] },
+        { $ifNull: ['$publishedAt', '$createdAt'] },
+        null
+      ]
+    }
+  }
+};
+
+// A language counts as complete when both its title and content are filled in
+const hasLanguage = (lang) => ({
+  $and: [
+    { $gt: [{ $strLenCP: { $trim: { input: { $ifNull: [`$title_${lang}`, ''] } } } }, 0] },
+    { $gt: [{ $strLenCP: { $trim: { input: { $ifNull: [`$content_${lang}`, ''] } } } }, 0] }
+  ]
+});
+
+/* ===========================================================
+   DASHBOARD STATS
+   GET /api/posts/stats?interval=month&from=YYYY-MM-DD&to=YYYY-MM-DD
+   interval: month (default) | week. Defaults to the last 12 periods.
+   Periods are calendar months / Monday-based weeks in UTC.
+   =========================================================== */
+exports.getStats = async (req, res) => {
+  try {
+    const { interval = 'month' } = req.query;
+    if (!INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid interval. Allowed: ${INTERVALS.join(', ')}`
+      });
+    }
+
+    const toDay = req.query.to ? parseDay(req.query.to) : dayStart();
+    let fromDay = req.query.from ? parseDay(req.query.from) : null;
+    if (!toDay || (req.query.from && !fromDay)) {
+      return res.status(400).json({ success: false, message: 'Dates must use the YYYY-MM-DD format' });
+    }
+
+    // Build the list of periods covering [from, to]
+    const lastStart = periodStart(toDay, interval);
+    if (!fromDay) {
+      fromDay = lastStart;
+      for (let i = 1; i < DEFAULT_PERIODS[interval]; i += 1) {
+        fromDay = periodStart(new Date(fromDay.getTime() - DAY_MS), interval);
+      }
+    }
+    if (fromDay > toDay) {
+      return res.status(400).json({ success: false, message: '"from" must be on or before "to"' });
+    }
+
+    const periods = [];
+    for (let start = periodStart(fromDay, interval); start <= lastStart; start = nextPeriod(start, interval)) {
+      periods.push(start);
+      if (periods.length > MAX_PERIODS[interval]) {
+        return res.status(400).json({
+          success: false,
+          message: `Range too long: at most ${MAX_PERIODS[interval]} ${interval}s`
+        });
+      }
+    }
+
+    const range = { $gte: periods[0], $lt: nextPeriod(lastStart, interval) };
+
+    // ---------- All-time totals ----------
+    const [totalPosts, publishedPosts, draftPosts, featuredPosts, totalUsers, totalMembers, viewsResult] = await Promise.all([
+      Post.countDocuments(),
+      Post.countDocuments({ published: true }),
+      Post.countDocuments({ published: false }),
+      Post.countDocuments({ featured: true }),
+      User.countDocuments(),
+      Member.countDocuments(),
+      Post.aggregate([{ $group: { _id: null, totalViews: { $sum: { $ifNull: ['$views', 0] } } } }])
+    ]);
+    const totalViews = (viewsResult[0] && viewsResult[0].totalViews) || 0;
+
+    // ---------- Time series ----------
+    const [postRows, activityRows, commentRows, userRows, memberRows] = await Promise.all([
+      Post.aggregate([
+        PUBLISHED_ON,
+        { $match: { publishedOn: range } },
+        { $group: { _id: truncate('$publishedOn', interval), posts: { $sum: 1 } } }
+      ]),
+      PostDailyStat.aggregate([
+        { $match: { date: range } },
+        {
+          $group: {
+            _id: truncate('$date', interval),
+            views: { $sum: '$views' },
+            ...REACTION_TYPES.reduce((sums, type) => ({ ...sums, [type]: { $sum: `$reactions.${type}` } }), {})
+          }
+        }
+      ]),
+      Comment.aggregate([
+        { $match: { status: 'approved', createdAt: range } },
+        { $group: { _id: truncate('$createdAt', interval), comments: { $sum: 1 } } }
+      ]),
+      User.aggregate([
+        { $match: { createdAt: range } },
+        { $group: { _id: truncate('$createdAt', interval), users: { $sum: 1 } } }
+      ]),
+      Member.aggregate([
+        { $match: { createdAt: range } },
+        { $group: { _id: truncate('$createdAt', interval), applications: { $sum: 1 } } }
+      ])
+    ]);
+
+    const posts = byPeriod(postRows);
+    const activity = byPeriod(activityRows);
+    const comments = byPeriod(commentRows);
+    const users = byPeriod(userRows);
+    const members = byPeriod(memberRows);
+
+    const series = periods.map((start) => {
+      const key = start.toISOString();
+      const periodActivity = activity.get(key) || {};
+      const reactions = REACTION_TYPES.reduce((acc, type) => ({ ...acc, [type]: periodActivity[type] || 0 }), {});
+
+      return {
+        period: periodLabel(start, interval),
+        start: formatDay(start),
+        postsPublished: (posts.get(key) || {}).posts || 0,
+        views: periodActivity.views || 0,
+        likes: reactions.like,
+        reactions,
+        comments: (comments.get(key) || {}).comments || 0,
+        newUsers: (users.get(key) || {}).users || 0,
+        memberApplications: (members.get(key) || {}).applications || 0
+      };
+    });
+
+    // ---------- Breakdowns over the range ----------
+    const [categoryPosts, categoryViews, completeness, firstStat] = await Promise.all([
+      Post.aggregate([
+        PUBLISHED_ON,
+        { $match: { publishedOn: range } },
+        { $group: { _id: '$category', posts: { $sum: 1 } } }
+      ]),
+      PostDailyStat.aggregate([
+        { $match: { date: range } },
+        { $group: { _id: '$post', views: { $sum: '$views' } } },
+        { $lookup: { from: Post.collection.name, localField: '_id', foreignField: '_id', as: 'post' } },
+        { $unwind: '$post' },
+        { $group: { _id: '$post.category', views: { $sum: '$views' } } }
+      ]),
+      Post.aggregate([
+        PUBLISHED_ON,
+        { $match: { publishedOn: range } },
+        {
+          $group: {
+            _id: null,
+            both: { $sum: { $cond: [{ $and: [hasLanguage('en'), hasLanguage('np')] }, 1, 0] } },
+            englishOnly: { $sum: { $cond: [{ $and: [hasLanguage('en'), { $not: [hasLanguage('np')] }] }, 1, 0] } },
+            nepaliOnly: { $sum: { $cond: [{ $and: [{ $not: [hasLanguage('en')] }, hasLanguage('np')] }, 1, 0] } },
+            incomplete: { $sum: { $cond: [{ $or: [hasLanguage('en'), hasLanguage('np')] }, 0, 1] } }
+          }
+        }
+      ]),
+      PostDailyStat.findOne().sort('date').select('date').lean()
+    ]);
+
+    const viewsByCategory = new Map(categoryViews.map((row) => [row._id || null, row.views]));
+    const byCategory = [...new Set([...categoryPosts.map((row) => row._id || null), ...viewsByCategory.keys()])]
+      .map((category) => ({
+        category,
+        postsPublished: (categoryPosts.find((row) => (row._id || null) === category) || {}).posts || 0,
+        views: viewsByCategory.get(category) || 0
+      }))
+      .sort((a, b) => b.postsPublished - a.postsPublished || b.views - a.views);
+
+    const { _id, ...languageCompleteness } = completeness[0] || { both: 0, englishOnly: 0, nepaliOnly: 0, incomplete: 0 };
+
+    // Genuine counts for the current calendar month (these used to be all-time totals / 12)
+    const thisMonth = periodStart(new Date(), 'month');
+    const [monthlyPosts, monthlyViewsResult] = await Promise.all([
+      Post.aggregate([PUBLISHED_ON, { $match: { publishedOn: { $gte: thisMonth } } }, { $count: 'count' }]),
+      PostDailyStat.aggregate([
+        { $match: { date: { $gte: thisMonth } } },
+        { $group: { _id: null, views: { $sum: '$views' } } }
+      ])
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        totalPosts,
+        publishedPosts,
+        draftPosts,
+        featuredPosts,
+        totalViews,
+        totalUsers,
+        totalMembers,
+        monthlyPosts: (monthlyPosts[0] && monthlyPosts[0].count) || 0,
+        monthlyViews: (monthlyViewsResult[0] && monthlyViewsResult[0].views) || 0,
+        range: {
+          from: formatDay(periods[0]),
+          to: formatDay(new Date(range.$lt.getTime() - DAY_MS)),
+          interval
+        },
+        // Views and reactions are only recorded per day from this date on
+        analyticsSince: firstStat ? formatDay(firstStat.date) : null,
+        series,
+        byCategory,
+        languageCompleteness
+      }
+    });
+  } catch (error) {
+    console.error('Get stats error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching stats'
+    });
+  }
+};
@@ -0,0 +1,332 @@
+// controllers/tagController.js
+'use strict';
+
+const Tag = require('../models/Tag');
+const Post = require('../models/Post');
+const {
+  cleanTagName,
+  tagKey,
+  tagLabel,
+  tagAliases,
+  rewritePostTags
+} = require('../utils/tags');
+const { clearPostCaches } = require('../utils/postCaches');
+const { sendValidationError } = require('../utils/validationErrors');
+
+const SORTS = ['count', 'name'];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Helper: Tag names from the request body (undefined = leave unchanged).
+ */
+const namesFromBody = (body) => ({
+  ...(body.name_en !== undefined && { name_en: cleanTagName(body.name_en) }),
+  ...(body.name_np !== undefined && { name_np: cleanTagName(body.name_np) })
+});
+
+/**
+ * Helper: Number of posts (matching `postFilter`) per tag name.
+ */
+async function postCountsByName(postFilter) {
+  const rows = await Post.aggregate([
+    { $match: postFilter },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } }
+  ]);
+  return new Map(rows.map((row) => [row._id, row.count]));
+}
+
+/**
+ * Helper: Response shape of a tag.
+ */
+function tagView(tag, count, language, { admin = false } = {}) {
+  const other = language === 'np' ? 'en' : 'np';
+  return {
+    key: tag.key,
+    name: tag[`name_${language}`] || tag[`name_${other}`] || '',
+    name_en: tag.name_en || '',
+    name_np: tag.name_np || '',
+    count,
+    ...(admin && { aliases: tag.aliases || [], registered: Boolean(tag._id) })
+  };
+}
+
+/**
+ * Helper: List registered tags plus names still on posts but not in the
+ * registry (posts from before it existed), with post counts.
+ */
+async function listTags(req, res, postFilter, { admin }) {
+  const { language = 'en', search, sort = 'count' } = req.query;
+  const includeEmpty = req.query.includeEmpty !== undefined ? req.query.includeEmpty === 'true' : admin;
+
+  if (!SORTS.includes(sort)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid sort. Allowed: ${SORTS.join(', ')}`
+    });
+  }
+
+  const [tags, counts] = await Promise.all([
+    Tag.find().lean(),
+    postCountsByName(postFilter)
+  ]);
+
+  const byKey = new Map(tags.map((tag) => [tag.key, { tag, count: counts.get(tagLabel(tag)) || 0 }]));
+  const aliasOf = new Map(tags.flatMap((tag) => (tag.aliases || []).map((alias) => [alias, tag.key])));
+  const registeredLabels = new Set(tags.map(tagLabel));
+  counts.forEach((count, name) => {
+    if (registeredLabels.has(name)) return;
+    const key = aliasOf.get(tagKey(name)) || tagKey(name);
+    const entry = byKey.get(key) || { tag: { key, name_en: name }, count: 0 };
+    entry.count += count;
+    byKey.set(key, entry);
+  });
+
+  const pattern = search ? new RegExp(escapeRegex(cleanTagName(search)), 'i') : null;
+  const data = [...byKey.values()]
+    .filter(({ count }) => includeEmpty || count > 0)
+    .map(({ tag, count }) => tagView(tag, count, language, { admin }))
+    .filter((tag) => !pattern || [tag.key, tag.name_en, tag.name_np].some((value) => pattern.test(value)))
+    .sort((a, b) => (sort === 'count' && b.count - a.count) || a.name.localeCompare(b.name));
+
+  return res.status(200).json({
+    success: true,
+    count: data.length,
+    data
+  });
+}
+
+/**
+ * Helper: Load the tag named by :key (or one of its aliases).
+ * Sends 404 and returns null when there is none.
+ */
+async function loadTag(req, res) {
+  const key = tagKey(req.params.key);
+  const tag = await Tag.findOne({ $or: [{ key }, { aliases: key }] });
+  if (!tag) {
+    res.status(404).json({ success: false, message: 'Tag not found' });
+    return null;
+  }
+  return tag;
+}
+
+/**
+ * Helper: Another registered tag already using `key`, if any.
+ */
+const keyTakenBy = (key, tag) => Tag.findOne({ _id: { $ne: tag._id }, $or: [{ key }, { aliases: key }] });
+
+/* ===========================================================
+   LIST TAGS (PUBLIC)
+   GET /api/tags?language=en&search=&sort=count|name&includeEmpty=false
+   Counts are of public posts only
+   =========================================================== */
+exports.getTags = async (req, res) => {
+  try {
+    return await listTags(req, res, Post.visibleFilter(), { admin: false });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching tags'
+    });
+  }
+};
+
+/* ===========================================================
+   LIST TAGS (ADMIN)
+   GET /api/tags/admin
+   Counts include drafts; unused tags and aliases are listed too
+   =========================================================== */
+exports.getAdminTags = async (req, res) => {
+  try {
+    return await listTags(req, res, {}, { admin: true });
+  } catch (error) {
+    console.error('Get admin tags error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while fetching tags'
+    });
+  }
+};
+
+/* ===========================================================
+   CREATE TAG
+   POST /api/tags
+   Body: { name_en, name_np }
+   =========================================================== */
+exports.createTag = async (req, res) => {
+  try {
+    const names = namesFromBody(req.body);
+    const key = tagKey(names.name_en || names.name_np);
+    if (!key) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please add a tag name in English or Nepali'
+      });
+    }
+
+    const tag = new Tag({ key, ...names });
+    tag.aliases = tagAliases(tag);
+
+    const existing = await keyTakenBy(key, tag);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `Tag "${tagLabel(existing)}" already exists`,
+        data: tagView(existing, await Post.countDocuments({ tags: tagLabel(existing) }), 'en', { admin: true })
+      });
+    }
+
+    await tag.save();
+
+    return res.status(201).json({
+      success: true,
+      message: 'Tag created successfully',
+      data: tagView(tag, 0, 'en', { admin: true })
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    console.error('Create tag error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while creating tag'
+    });
+  }
+};
+
+/* ===========================================================
+   RENAME TAG
+   PUT /api/tags/:key
+   Body: { name_en, name_np }. Posts carrying the old name are rewritten;
+   the old key stays as an alias so it keeps resolving to this tag.
+   =========================================================== */
+exports.renameTag = async (req, res) => {
+  try {
+    const tag = await loadTag(req, res);
+    if (!tag) return;
+
+    const oldLabel = tagLabel(tag);
+    const oldKey = tag.key;
+    Object.assign(tag, namesFromBody(req.body));
+
+    const key = tagKey(tag.name_en || tag.name_np);
+    if (key && key !== oldKey) {
+      const existing = await keyTakenBy(key, tag);
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: `Tag "${tagLabel(existing)}" already exists. Merge the tags instead.`
+        });
+      }
+      tag.key = key;
+      tag.aliases = [...(tag.aliases || []), oldKey];
+    }
+    tag.aliases = tagAliases(tag);
+
+    await tag.save();
+
+    const newLabel = tagLabel(tag);
+    const postsUpdated = newLabel !== oldLabel ? await rewritePostTags([oldLabel], newLabel) : 0;
+    if (postsUpdated) clearPostCaches();
+
+    console.log(`🏷️ Tag renamed: ${oldLabel} → ${newLabel} (${postsUpdated} post(s))`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Tag updated successfully',
+      postsUpdated,
+      data: tagView(tag, await Post.countDocuments({ tags: newLabel }), 'en', { admin: true })
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    console.error('Rename tag error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while updating tag'
+    });
+  }
+};
+
+/* ===========================================================
+   MERGE TAGS
+   POST /api/tags/:key/merge
+   Body: { into: <key> }. Posts tagged :key get the target tag instead
+   and :key (with its aliases) becomes an alias of the target.
+   =========================================================== */
+exports.mergeTag = async (req, res) => {
+  try {
+    if (!req.body.into) {
+      return res.status(400).json({ success: false, message: 'Please name the tag to merge into ("into")' });
+    }
+
+    const source = await loadTag(req, res);
+    if (!source) return;
+
+    const intoKey = tagKey(req.body.into);
+    const target = await Tag.findOne({ $or: [{ key: intoKey }, { aliases: intoKey }] });
+    if (!target) {
+      return res.status(404).json({ success: false, message: 'Target tag not found' });
+    }
+    if (String(target._id) === String(source._id)) {
+      return res.status(400).json({ success: false, message: 'A tag cannot be merged into itself' });
+    }
+
+    target.name_np = target.name_np || source.name_np;
+    target.aliases = tagAliases({
+      ...target.toObject(),
+      aliases: [...(target.aliases || []), source.key, ...(source.aliases || [])]
+    });
+
+    await target.save();
+    await source.deleteOne();
+
+    const postsUpdated = await rewritePostTags([tagLabel(source)], tagLabel(target));
+    if (postsUpdated) clearPostCaches();
+
+    console.log(`🏷️ Tag merged: ${tagLabel(source)} → ${tagLabel(target)} (${postsUpdated} post(s))`);
+
+    return res.status(200).json({
+      success: true,
+      message: `Tag "${tagLabel(source)}" merged into "${tagLabel(target)}"`,
+      postsUpdated,
+      data: tagView(target, await Post.countDocuments({ tags: tagLabel(target) }), 'en', { admin: true })
+    });
+  } catch (error) {
+    console.error('Merge tag error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while merging tags'
+    });
+  }
+};
+
+/* ===========================================================
+   DELETE TAG
+   DELETE /api/tags/:key
+   Removes the tag from every post carrying it
+   =========================================================== */
+exports.deleteTag = async (req, res) => {
+  try {
+    const tag = await loadTag(req, res);
+    if (!tag) return;
+
+    const postsUpdated = await rewritePostTags([tagLabel(tag)], null);
+    await tag.deleteOne();
+    if (postsUpdated) clearPostCaches();
+
+    console.log(`🏷️ Tag deleted: ${tagLabel(tag)} (${postsUpdated} post(s))`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Tag deleted successfully',
+      postsUpdated
+    });
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while deleting tag'
+    });
+  }
+};
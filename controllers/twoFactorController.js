@@ -0,0 +1,337 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+const { createSession, verifyTwoFactorChallenge, hashToken } = require('../utils/tokens');
+const {
+  isIpBlocked,
+  applyProgressiveDelay,
+  recordAttempt,
+  registerFailure,
+  resetFailures,
+  lockedResponse
+} = require('../utils/loginGuard');
+const { isTwoFactorRequired } = require('../config/auth.config');
+
+const RECOVERY_CODE_COUNT = 10;
+const SECRET_FIELDS = '+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep';
+
+// Recovery codes are compared case-insensitively and without dashes
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Generate fresh recovery codes: plain values for the user, hashes for the database
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code)))
+  };
+};
+
+/**
+ * Check a TOTP code or a recovery code for a user loaded with SECRET_FIELDS.
+ * Consumes the code atomically so it cannot be used twice.
+ */
+const consumeSecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyCode(user.twoFactorSecret, code);
+    if (step === null) return false;
+
+    // Only accept a step newer than the last one used (replay protection)
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { twoFactorLastStep: { $exists: false } },
+          { twoFactorLastStep: null },
+          { twoFactorLastStep: { $lt: step } }
+        ]
+      },
+      { $set: { twoFactorLastStep: step } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const result = await User.updateOne(
+      { _id: user._id, twoFactorRecoveryCodes: hash },
+      { $pull: { twoFactorRecoveryCodes: hash } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  return false;
+};
+
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (2FA challenge token required)
+exports.verifyLogin = async (req, res) => {
+  try {
+    const { twoFactorToken, code, recoveryCode } = req.body;
+
+    // Same IP budget as password logins: failed codes are recorded as failed attempts
+    if (await isIpBlocked(req.ip)) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed login attempts from this IP, please try again later.'
+      });
+    }
+
+    const userId = verifyTwoFactorChallenge(twoFactorToken);
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor login has expired, please log in again'
+      });
+    }
+
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to access this route'
+      });
+    }
+
+    if (user.isLocked()) {
+      await recordAttempt(req, { email: user.email, user, reason: 'locked' });
+      return lockedResponse(res, user.lockUntil);
+    }
+
+    await applyProgressiveDelay(user.failedLoginAttempts);
+
+    if (!(await consumeSecondFactor(user, { code, recoveryCode }))) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      await recordAttempt(req, { email: user.email, user, reason: 'invalidTwoFactor' });
+      const lockUntil = await registerFailure(user);
+      if (lockUntil) {
+        return lockedResponse(res, lockUntil);
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor authentication code'
+      });
+    }
+
+    await resetFailures(user);
+    await recordAttempt(req, { email: user.email, user, success: true, reason: 'success' });
+
+    const { token, refreshToken } = await createSession(user, req);
+    const remainingRecoveryCodes = recoveryCode
+      ? Math.max((user.twoFactorRecoveryCodes || []).length - 1, 0)
+      : (user.twoFactorRecoveryCodes || []).length;
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      token,
+      refreshToken,
+      remainingRecoveryCodes,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isEmailVerified: user.isEmailVerified
+      }
+    });
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor verification'
+    });
+  }
+};
+
+// @desc    Start 2FA enrollment: generate a secret, otpauth URI and QR code
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    const otpauthUri = buildOtpauthUri(secret, req.user.email);
+    const qrCode = await QRCode.toDataURL(otpauthUri);
+
+    await User.updateOne({ _id: req.user._id }, { $set: { twoFactorPendingSecret: secret } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri,
+        qrCode
+      }
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor setup'
+    });
+  }
+};
+
+// @desc    Confirm enrollment with a code and enable 2FA
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = verifyCode(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor authentication code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorEnabled = true;
+    user.twoFactorLastStep = step;
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they are shown only once.',
+      data: {
+        recoveryCodes: codes
+      }
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while enabling two-factor authentication'
+    });
+  }
+};
+
+// @desc    Disable 2FA (password and a current code required)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    if (isTwoFactorRequired(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: `Two-factor authentication is mandatory for the ${req.user.role} role`
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(`+password ${SECRET_FIELDS}`);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+    const isMatch = password ? await user.comparePassword(password) : false;
+    if (!isMatch || !(await consumeSecondFactor(user, { code, recoveryCode }))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or two-factor authentication code'
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { twoFactorEnabled: false },
+        $unset: {
+          twoFactorSecret: 1,
+          twoFactorPendingSecret: 1,
+          twoFactorRecoveryCodes: 1,
+          twoFactorLastStep: 1
+        }
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while disabling two-factor authentication'
+    });
+  }
+};
+
+// @desc    Replace all recovery codes (current code required)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await consumeSecondFactor(user, { code: req.body.code }))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor authentication code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { twoFactorRecoveryCodes: hashes } });
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: {
+        recoveryCodes: codes
+      }
+    });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating recovery codes'
+    });
+  }
+};
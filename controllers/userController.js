@@ -0,0 +1,457 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const LoginAttempt = require('../models/LoginAttempt');
+const { ROLES } = require('../config/roles');
+const { revokeUserSessions } = require('../utils/tokens');
+const { sendPasswordResetEmail } = require('../utils/authEmails');
+
+// Fields admins see for each account
+const adminUserData = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  avatar: user.avatar,
+  bio: user.bio,
+  isActive: user.isActive,
+  isEmailVerified: user.isEmailVerified,
+  twoFactorEnabled: user.twoFactorEnabled,
+  passwordResetRequired: user.passwordResetRequired,
+  lockUntil: user.lockUntil,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt
+});
+
+// Sortable fields for the user list (prefix with '-' for descending)
+const USER_SORT_FIELDS = ['name', 'email', 'role', 'createdAt', 'updatedAt'];
+
+// Escape user input before using it in a RegExp
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Load the target user of an admin action and apply the safeguards shared by
+ * every mutation: valid id, user exists, only super-admins may touch
+ * super-admin accounts. Sends the error response and returns null on failure.
+ */
+const loadTargetUser = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid user id'
+    });
+    return null;
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  if (user.role === 'superAdmin' && req.user.role !== 'superAdmin') {
+    res.status(403).json({
+      success: false,
+      message: 'Only a super admin can manage super admin accounts'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// @desc    List users with search, filters and pagination
+// @route   GET /api/users
+// @access  Private (users:manage)
+exports.getUsers = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      search,
+      role,
+      isActive,
+      sort = '-createdAt'
+    } = req.query;
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    if (!USER_SORT_FIELDS.includes(String(sort).replace(/^-/, ''))) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort. Allowed fields: ${USER_SORT_FIELDS.join(', ')}`
+      });
+    }
+
+    // Only known role names: a raw query value could be an operator object (role[$ne]=...)
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Allowed roles: ${ROLES.join(', ')}`
+      });
+    }
+
+    const query = {};
+    if (role) query.role = role;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    const users = await User.find(query)
+      .sort(sort)
+      .limit(limitNum)
+      .skip((pageNum - 1) * limitNum);
+
+    const total = await User.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      total,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(total / limitNum)
+      },
+      data: users.map(adminUserData)
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching users'
+    });
+  }
+};
+
+// @desc    Get a single user
+// @route   GET /api/users/:id
+// @access  Private (users:manage)
+exports.getUser = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user id'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: adminUserData(user)
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching user'
+    });
+  }
+};
+
+// @desc    Change a user's role
+// @route   PUT /api/users/:id/role
+// @access  Private (users:manage)
+exports.updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Allowed roles: ${ROLES.join(', ')}`
+      });
+    }
+
+    if (role === 'superAdmin' && req.user.role !== 'superAdmin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only a super admin can grant the super admin role'
+      });
+    }
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    if (!(await User.updateUnlessLastAdmin(user, { role }))) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot demote the last remaining administrator'
+      });
+    }
+
+    console.log(`👤 Role of ${user.email} changed to ${role} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'User role updated successfully',
+      data: adminUserData(user)
+    });
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating user role'
+    });
+  }
+};
+
+// @desc    Activate or deactivate a user
+// @route   PUT /api/users/:id/status
+// @access  Private (users:manage)
+exports.updateUserStatus = async (req, res) => {
+  try {
+    const { isActive } = req.body;
+
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'isActive must be true or false'
+      });
+    }
+
+    if (req.params.id === req.user._id.toString() && !isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account here'
+      });
+    }
+
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    if (!(await User.updateUnlessLastAdmin(user, { isActive }))) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot deactivate the last remaining administrator'
+      });
+    }
+
+    // Deactivated accounts lose every session immediately
+    if (!isActive) {
+      await revokeUserSessions(user._id, 'admin');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
+      data: adminUserData(user)
+    });
+  } catch (error) {
+    console.error('Update user status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating user status'
+    });
+  }
+};
+
+// @desc    Sign a user out everywhere and require a new password
+// @route   POST /api/users/:id/force-password-reset
+// @access  Private (users:manage)
+exports.forcePasswordReset = async (req, res) => {
+  try {
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    const resetToken = user.createPasswordResetToken();
+    user.passwordResetRequired = true;
+    await user.save({ validateBeforeSave: false });
+
+    await revokeUserSessions(user._id, 'admin');
+
+    let emailSent = true;
+    try {
+      await sendPasswordResetEmail(user, resetToken, { forced: true });
+    } catch (mailError) {
+      // The account stays locked to the reset flow; the user can request a new link
+      emailSent = false;
+      console.error('Forced password reset email error:', mailError);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: emailSent
+        ? 'Password reset required; a reset link has been emailed to the user'
+        : 'Password reset required, but the reset email could not be sent',
+      emailSent,
+      data: adminUserData(user)
+    });
+  } catch (error) {
+    console.error('Force password reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while forcing password reset'
+    });
+  }
+};
+
+// @desc    Delete a user
+// @route   DELETE /api/users/:id
+// @access  Private (users:manage)
+exports.deleteUser = async (req, res) => {
+  try {
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account'
+      });
+    }
+
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    // Deactivate first so the last-admin check and the removal cannot race
+    if (!(await User.updateUnlessLastAdmin(user, { isActive: false }))) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot delete the last remaining administrator'
+      });
+    }
+
+    await Session.deleteMany({ user: user._id });
+    await RefreshToken.deleteMany({ user: user._id });
+    await user.deleteOne();
+
+    console.log(`🗑️ User ${user.email} deleted by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'User deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting user'
+    });
+  }
+};
+
+// @desc    Review login attempts (failed by default)
+// @route   GET /api/users/login-attempts
+// @access  Private (users:audit)
+exports.getLoginAttempts = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      email,
+      ip,
+      user,
+      success = 'false'
+    } = req.query;
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const query = {};
+    if (success !== 'all') query.success = success === 'true';
+    if (email) query.email = String(email).toLowerCase().trim();
+    if (ip) query.ip = ip;
+    if (user) {
+      if (!mongoose.Types.ObjectId.isValid(user)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid user id'
+        });
+      }
+      query.user = user;
+    }
+
+    const attempts = await LoginAttempt.find(query)
+      .populate('user', 'name email role')
+      .sort('-createdAt')
+      .limit(limitNum)
+      .skip((pageNum - 1) * limitNum)
+      .lean();
+
+    const total = await LoginAttempt.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: attempts.length,
+      total,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(total / limitNum)
+      },
+      data: attempts
+    });
+  } catch (error) {
+    console.error('Get login attempts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching login attempts'
+    });
+  }
+};
+
+// @desc    Unlock an account locked after failed logins
+// @route   POST /api/users/:id/unlock
+// @access  Private (users:manage)
+exports.unlockUser = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user id'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { failedLoginAttempts: 0, lockUntil: null } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    console.log(`🔓 Account unlocked by ${req.user.email}: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked successfully',
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unlocking account'
+    });
+  }
+};
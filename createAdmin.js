@@ -1,39 +1,46 @@
-// createAdmin.js - Save this file in your project root
-const bcrypt = require('bcryptjs');
-const { User } = require('./models/User'); // Adjust path to your User model
+// createAdmin.js - Bootstrap the first super admin account
+// Usage: ADMIN_PASSWORD='...' node createAdmin.js <email> [name]
+// Everything after the first account is managed through /api/users.
+const User = require('./models/User');
 const mongoose = require('mongoose');
 require('dotenv').config(); // Load environment variables
 
 async function createAdmin() {
+  const [adminEmail, adminName = 'Super Admin'] = process.argv.slice(2);
+  const adminPassword = process.env.ADMIN_PASSWORD;
+
+  if (!adminEmail || !adminPassword) {
+    console.error('Usage: ADMIN_PASSWORD=<password> node createAdmin.js <email> [name]');
+    process.exitCode = 1;
+    return;
+  }
+
   try {
-    // Connect to your database (use the same connection as your main app)
-    await mongoose.connect(process.env.MONGODB_URI || process.env.DATABASE_URL || 'mongodb://localhost:27017/your-db-name');
-    
-    const adminEmail = 'admin@yourapp.com'; // Change this to your desired admin email
-    const adminPassword = 'Admin123!'; // Change this to a secure password
-    
-    // Check if admin already exists
-    const existing = await User.findOne({ email: adminEmail });
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    // Check if the account already exists
+    const existing = await User.findOne({ email: adminEmail.toLowerCase() });
     if (existing) {
-      console.log('Admin user already exists');
+      console.log(`User ${existing.email} already exists with role ${existing.role}; promote it through /api/users instead`);
       return;
     }
-    
-    // Hash password and create admin
-    const hash = await bcrypt.hash(adminPassword, 10);
+
+    // Password is hashed by the User model's pre-save hook
     const admin = await User.create({
-      name: 'Admin User',
+      name: adminName,
       email: adminEmail,
-      password: hash,
-      role: 'admin'
+      password: adminPassword,
+      role: 'superAdmin',
+      isEmailVerified: true
     });
-    
-    console.log('Admin user created successfully:', admin.email);
+
+    console.log('Super admin created successfully:', admin.email);
   } catch (error) {
     console.error('Error creating admin:', error);
+    process.exitCode = 1;
   } finally {
-    mongoose.disconnect();
+    await mongoose.disconnect();
   }
 }
 
-createAdmin();
\ No newline at end of file
+createAdmin();
@@ -1,8 +1,13 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { touchSession } = require('../utils/tokens');
+const { hasPermission } = require('../config/roles');
+const { isEmailVerificationSatisfied, isTwoFactorRequired } = require('../config/auth.config');
 
-// Protect routes - authentication required
-exports.protect = async (req, res, next) => {
+// Build the authentication middleware; `allowTwoFactorSetup` lets accounts that
+// still have to enroll in mandatory 2FA through to the enrollment routes
+const authenticate = ({ allowTwoFactorSetup = false } = {}) => async (req, res, next) => {
   let token;
 
   // Check for token in headers
@@ -21,10 +26,21 @@ exports.protect = async (req, res, next) => {
   try {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
+
+    // Reject tokens whose session was logged out, revoked or expired
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!session || !session.isActive()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked'
+      });
+    }
+    req.authSession = session;
+    await touchSession(session, req);
+
     // Get user from token
     req.user = await User.findById(decoded.id);
-    
+
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -32,6 +48,29 @@ exports.protect = async (req, res, next) => {
       });
     }
 
+    if (!req.user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+
+    if (!isEmailVerificationSatisfied(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address to access this route',
+        isEmailVerified: false
+      });
+    }
+
+    if (!allowTwoFactorSetup && isTwoFactorRequired(req.user) && !req.user.twoFactorEnabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication must be enabled for this account',
+        twoFactorSetupRequired: true
+      });
+    }
+
     next();
   } catch (error) {
     return res.status(401).json({
@@ -41,9 +80,30 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+// Protect routes - authentication required
+exports.protect = authenticate();
+
+// Protect 2FA enrollment routes - also reachable before mandatory 2FA is set up
+exports.protectTwoFactorSetup = authenticate({ allowTwoFactorSetup: true });
+
+// Identify the user when a token is sent; requests without one continue as guests
+exports.optionalProtect = (req, res, next) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return exports.protect(req, res, next);
+  }
+  next();
+};
+
 // Grant access to specific roles
 exports.authorize = (...roles) => {
   return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to access this route'
+      });
+    }
+
     if (!roles.includes(req.user.role)) {
       return res.status(403).json({
         success: false,
@@ -52,4 +112,26 @@ exports.authorize = (...roles) => {
     }
     next();
   };
-};
\ No newline at end of file
+};
+
+// Grant access to roles holding every listed permission (see config/roles.js)
+exports.requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to access this route'
+      });
+    }
+
+    const missing = permissions.find((permission) => !hasPermission(req.user.role, permission));
+    if (missing) {
+      return res.status(403).json({
+        success: false,
+        message: `User role ${req.user.role} is not authorized to access this route`,
+        requiredPermission: missing
+      });
+    }
+    next();
+  };
+};
@@ -0,0 +1,26 @@
+const { issueVisitorId, verifyVisitorId } = require('../utils/visitor');
+
+// Identify who is interacting with public content, as `req.visitor`:
+//  - signed-in users (run optionalProtect first) → key `user:<id>`
+//  - everyone else → key `visitor:<id>` from a valid X-Visitor-Id header; a new
+//    signed id is issued (and returned in the X-Visitor-Id response header)
+//    when the header is missing or has been tampered with (`issued: true`)
+exports.identifyVisitor = (req, res, next) => {
+  if (req.user) {
+    req.visitor = { key: `user:${req.user._id}`, user: req.user._id, visitorId: null, issued: false };
+    return next();
+  }
+
+  let visitorId = req.get('x-visitor-id');
+  let id = verifyVisitorId(visitorId);
+  const issued = !id;
+
+  if (issued) {
+    visitorId = issueVisitorId();
+    id = verifyVisitorId(visitorId);
+  }
+
+  res.set('X-Visitor-Id', visitorId);
+  req.visitor = { key: `visitor:${id}`, user: null, visitorId, issued };
+  next();
+};
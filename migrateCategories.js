@@ -0,0 +1,54 @@
+// migrateCategories.js - Move post categories from the old hard-coded enum
+// into the Category collection
+// Usage: node migrateCategories.js
+// Creates the default categories (config/categories.js) that do not exist yet,
+// and an inactive category for any other value found on posts so those posts
+// stay valid until an admin renames, reassigns or activates it. Existing
+// categories are never changed. Safe to re-run.
+const Post = require('./models/Post');
+const Category = require('./models/Category');
+const mongoose = require('mongoose');
+const { DEFAULT_CATEGORIES } = require('./config/categories');
+require('dotenv').config(); // Load environment variables
+
+// "digitalTransformation" → "Digital Transformation"
+const humanize = (key) => key
+  .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+  .replace(/[-_]+/g, ' ')
+  .replace(/^./, (char) => char.toUpperCase());
+
+async function migrateCategories() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const keys = await Post.distinct('category');
+    const extra = keys.filter((key) => key && !DEFAULT_CATEGORIES.some((category) => category.key === key));
+
+    const categories = [
+      ...DEFAULT_CATEGORIES.map((category, order) => ({ ...category, order, active: true })),
+      ...extra.map((key, i) => ({ key, name_en: humanize(key), order: DEFAULT_CATEGORIES.length + i, active: false }))
+    ];
+
+    let created = 0;
+    for (const category of categories) {
+      const result = await Category.updateOne(
+        { key: category.key },
+        { $setOnInsert: category },
+        { upsert: true }
+      );
+      if (result.upsertedCount) {
+        created += 1;
+        console.log(`Created ${category.active ? '' : 'inactive '}category "${category.key}"`);
+      }
+    }
+
+    console.log(`Created ${created} categor${created === 1 ? 'y' : 'ies'}; ${categories.length - created} already existed`);
+  } catch (error) {
+    console.error('Error migrating categories:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrateCategories();
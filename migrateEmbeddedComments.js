@@ -0,0 +1,70 @@
+// migrateEmbeddedComments.js - Move comments embedded in posts to the comments collection
+// Usage: node migrateEmbeddedComments.js
+// Comment ids are preserved, so the script can be re-run safely after an interruption.
+// Embedded comments stop being shown as soon as the new code is deployed: run this right after.
+const Post = require('./models/Post');
+const Comment = require('./models/Comment');
+const mongoose = require('mongoose');
+require('dotenv').config(); // Load environment variables
+
+async function migrateEmbeddedComments() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    // `comments` is no longer in the Post schema, so read the raw documents
+    const cursor = Post.collection.find(
+      { 'comments.0': { $exists: true } },
+      { projection: { comments: 1 } }
+    );
+
+    let postCount = 0;
+    let commentCount = 0;
+
+    for await (const post of cursor) {
+      const docs = post.comments.map((comment) => ({
+        _id: comment._id,
+        post: post._id,
+        parent: null,
+        depth: 0,
+        user: comment.user || null,
+        text: comment.text,
+        userName: comment.userName || 'Anonymous',
+        guestEmail: comment.guestEmail,
+        ipHash: comment.ipHash,
+        userAgent: comment.userAgent,
+        // Comments predating moderation were public
+        status: comment.status || 'approved',
+        spamReasons: comment.spamReasons || [],
+        moderatedBy: comment.moderatedBy,
+        moderatedAt: comment.moderatedAt,
+        reports: comment.reports || [],
+        reportCount: comment.reportCount || 0,
+        createdAt: comment.createdAt || post._id.getTimestamp(),
+        updatedAt: comment.createdAt || post._id.getTimestamp()
+      }));
+
+      try {
+        await Comment.collection.insertMany(docs, { ordered: false });
+      } catch (error) {
+        // Duplicate ids were copied by an earlier run
+        if (!error.writeErrors || error.writeErrors.some((e) => e.code !== 11000)) throw error;
+      }
+
+      await Comment.refreshCounts(post._id);
+      await Post.collection.updateOne({ _id: post._id }, { $unset: { comments: '' } });
+
+      postCount += 1;
+      commentCount += docs.length;
+      console.log(`${post._id}: ${docs.length} comment(s)`);
+    }
+
+    console.log(`Migrated ${commentCount} comment(s) from ${postCount} post(s)`);
+  } catch (error) {
+    console.error('Error migrating comments:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrateEmbeddedComments();
@@ -0,0 +1,46 @@
+// migrateLikesToReactions.js - Turn the old `likes` arrays into reaction counts
+// Usage: node migrateLikesToReactions.js
+// Old likes were unverifiable strings (often the shared 'anonymous-user'), so only
+// the number of distinct values is kept as the post's like count; nobody "owns"
+// them, which means they cannot be removed by anyone. Safe to re-run.
+const Post = require('./models/Post');
+const mongoose = require('mongoose');
+require('dotenv').config(); // Load environment variables
+
+async function migrateLikesToReactions() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    // `likes` is no longer in the Post schema, so read the raw documents
+    const cursor = Post.collection.find(
+      { likes: { $exists: true } },
+      { projection: { likes: 1 } }
+    );
+
+    let postCount = 0;
+
+    for await (const post of cursor) {
+      const legacyLikes = new Set((post.likes || []).map(String)).size;
+
+      await Post.collection.updateOne(
+        { _id: post._id },
+        {
+          $inc: { 'reactionCounts.like': legacyLikes },
+          $unset: { likes: '' }
+        }
+      );
+
+      postCount += 1;
+      console.log(`${post._id}: ${legacyLikes} like(s)`);
+    }
+
+    console.log(`Migrated likes of ${postCount} post(s)`);
+  } catch (error) {
+    console.error('Error migrating likes:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrateLikesToReactions();
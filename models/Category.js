@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const categorySchema = new mongoose.Schema({
+  // Value stored in Post.category; never changes once posts use it
+  key: {
+    type: String,
+    required: [true, 'Please add a category key'],
+    unique: true,
+    trim: true,
+    match: [/^[a-zA-Z][a-zA-Z0-9]*$/, 'Category key may only contain letters and digits (e.g. "aiPolicy")'],
+    maxlength: [50, 'Category key cannot be more than 50 characters']
+  },
+  name_en: {
+    type: String,
+    required: [true, 'Please add an English name'],
+    trim: true,
+    maxlength: [80, 'Category name cannot be more than 80 characters']
+  },
+  name_np: {
+    type: String,
+    trim: true,
+    maxlength: [80, 'Category name cannot be more than 80 characters']
+  },
+  description_en: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  description_np: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  // Position in menus, lowest first
+  order: {
+    type: Number,
+    default: 0
+  },
+  // Inactive categories take no new posts; posts already in one keep it
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.index({ active: 1, order: 1 });
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { COMMENT_STATUSES } = require('../config/comments.config');
+
+const commentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // Threading: top-level comments have no parent
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  depth: {
+    type: Number,
+    default: 0
+  },
+  // Approved direct replies (kept in sync by Comment.refreshCounts)
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  // Signed-in commenter; guests have no account and only a name/email
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  text: {
+    type: String,
+    maxlength: [1000, 'Comment cannot be more than 1000 characters']
+  },
+  userName: {
+    type: String,
+    default: 'Anonymous'
+  },
+  // Guest identity, never shown on public endpoints
+  guestEmail: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Lets a guest edit/delete their own comment (hash of the token returned once)
+  editTokenHash: {
+    type: String,
+    select: false
+  },
+  ipHash: String,
+  userAgent: String,
+  // Moderation
+  status: {
+    type: String,
+    enum: COMMENT_STATUSES,
+    default: 'pending'
+  },
+  spamReasons: [String],
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: Date,
+  reports: [{
+    reason: {
+      type: String,
+      maxlength: [500, 'Report reason cannot be more than 500 characters']
+    },
+    ipHash: String,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  editedAt: Date,
+  // Deleted comments that still have replies stay as placeholders
+  deletedAt: Date
+}, {
+  timestamps: true
+});
+
+commentSchema.index({ post: 1, parent: 1, status: 1, createdAt: -1 });
+commentSchema.index({ status: 1, createdAt: -1 });
+commentSchema.index({ guestEmail: 1, status: 1 });
+commentSchema.index({ reportCount: -1 });
+
+// Recount approved replies of the given parents and approved, non-deleted
+// comments of the post (cached as Post.commentCount)
+commentSchema.statics.refreshCounts = async function(postId, parentIds = []) {
+  const Comment = this;
+  const uniqueParents = [...new Set(parentIds.filter(Boolean).map(String))];
+
+  await Promise.all(uniqueParents.map(async (parentId) => {
+    const replyCount = await Comment.countDocuments({ parent: parentId, status: 'approved' });
+    await Comment.updateOne({ _id: parentId }, { $set: { replyCount } });
+  }));
+
+  const commentCount = await Comment.countDocuments({ post: postId, status: 'approved', deletedAt: null });
+  await mongoose.model('Post').updateOne({ _id: postId }, { $set: { commentCount } });
+};
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Audit record of a login attempt, kept for admins to review
+const loginAttemptSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  success: {
+    type: Boolean,
+    default: false
+  },
+  reason: {
+    type: String,
+    enum: [
+      'success',
+      'unknownUser',
+      'invalidPassword',
+      'invalidTwoFactor',
+      'locked',
+      'deactivated',
+      'unverified'
+    ],
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginAttemptSchema.index({ ip: 1, success: 1, createdAt: -1 });
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ email: 1, createdAt: -1 });
+// Keep the audit trail for 90 days
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
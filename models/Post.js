@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+require('./Category');
+const { WORKFLOW_STATES } = require('../config/postWorkflow');
+const { REACTION_TYPES } = require('../config/reactions');
+const { resolvePostSlug } = require('../utils/slugs');
+const { romanizedSearchText } = require('../utils/search');
 
 const postSchema = new mongoose.Schema({
   title_en: {
@@ -11,6 +16,16 @@ const postSchema = new mongoose.Schema({
     trim: true,
     maxlength: [500, 'Title cannot be more than 500 characters']
   },
+  // Public URL slug (generated from the titles, see utils/slugs.js)
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Previous slugs, so links shared before a title change still resolve
+  slugHistory: [{
+    type: String
+  }],
   content_en: {
     type: String
   },
@@ -25,18 +40,19 @@ const postSchema = new mongoose.Schema({
     type: String,
     maxlength: [1000, 'Excerpt cannot be more than 1000 characters']
   },
+  // Key of an active Category (see models/Category.js). Saving a loaded post
+  // only checks it when it changed, so posts may stay in a category
+  // deactivated later (update validators only see the paths being set).
   category: {
     type: String,
-    enum: [
-      'technology',
-      'digitalTransformation',
-      'socialJustice',
-      'events',
-      'innovation',
-      'policy',
-      'education',
-      'startups'
-    ]
+    trim: true,
+    validate: {
+      validator: async function(value) {
+        if (this instanceof mongoose.Document && !this.isNew && !this.isModified('category')) return true;
+        return !value || Boolean(await mongoose.model('Category').exists({ key: value, active: true }));
+      },
+      message: 'Unknown or inactive category "{VALUE}"'
+    }
   },
   image: {
     type: String, // Will store the file path like '/uploads/posts/filename.jpg'
@@ -57,31 +73,71 @@ const postSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
-  views: {
-    type: Number,
-    default: 0
+  // When the post first became public (createdAt for posts published immediately)
+  publishedAt: {
+    type: Date,
+    default: null
   },
-  likes: [{
-    type: String, // Store user IDs or anonymous identifiers
-  }],
-  comments: [{
-    user: {
+  // Scheduled publishing: the post scheduler flips `published` at these times
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  unpublishAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the scheduler took the post down at its `unpublishAt`
+  unpublishedAt: {
+    type: Date,
+    default: null
+  },
+  // Editorial workflow (no default: posts predating it derive their state from `published`)
+  workflowState: {
+    type: String,
+    enum: WORKFLOW_STATES
+  },
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Internal reviewer notes, never shown on public endpoints
+  reviewNotes: [{
+    author: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
     text: {
       type: String,
-      maxlength: [1000, 'Comment cannot be more than 1000 characters']
-    },
-    userName: {
-      type: String,
-      default: 'Anonymous'
+      maxlength: [2000, 'Review note cannot be more than 2000 characters']
     },
+    fromState: String,
+    toState: String,
     createdAt: {
       type: Date,
       default: Date.now
     }
-  }]
+  }],
+  views: {
+    type: Number,
+    default: 0
+  },
+  // Per-type reaction totals (individual reactions live in the Reaction collection)
+  reactionCounts: REACTION_TYPES.reduce((fields, type) => ({
+    ...fields,
+    [type]: { type: Number, default: 0 }
+  }), {}),
+  // Romanized, spelling-normalized Nepali text for search (see utils/search.js)
+  searchRomanized: {
+    type: String,
+    select: false
+  },
+  // Approved comments (kept in sync by Comment.refreshCounts)
+  commentCount: {
+    type: Number,
+    default: 0
+  }
 }, {
   timestamps: true
 });
@@ -91,6 +147,90 @@ postSchema.index({ category: 1 });
 postSchema.index({ featured: 1 });
 postSchema.index({ published: 1 });
 postSchema.index({ createdAt: -1 });
-postSchema.index({ title_en: 'text', content_en: 'text', excerpt_en: 'text' });
+postSchema.index({ publishAt: 1 });
+postSchema.index({ unpublishAt: 1 });
+postSchema.index({ workflowState: 1 });
+postSchema.index({ reviewer: 1 });
+postSchema.index({ slug: 1 }, { unique: true, sparse: true });
+postSchema.index({ slugHistory: 1 });
+// Single bilingual text index (MongoDB allows one per collection)
+postSchema.index({
+  title_en: 'text',
+  title_np: 'text',
+  excerpt_en: 'text',
+  excerpt_np: 'text',
+  content_en: 'text',
+  content_np: 'text',
+  tags: 'text',
+  searchRomanized: 'text'
+}, {
+  name: 'post_search',
+  weights: {
+    title_en: 10,
+    title_np: 10,
+    tags: 6,
+    excerpt_en: 4,
+    excerpt_np: 4,
+    searchRomanized: 3,
+    content_en: 1,
+    content_np: 1
+  }
+});
+
+// Unpublish time must come after the publish time
+postSchema.pre('validate', function(next) {
+  if (this.publishAt && this.unpublishAt && this.unpublishAt <= this.publishAt) {
+    this.invalidate('unpublishAt', 'Unpublish time must be after the publish time');
+  }
+  next();
+});
+
+// Generate the slug on create and regenerate it when the titles change.
+// Updates through findByIdAndUpdate must call resolvePostSlug themselves.
+postSchema.pre('validate', async function() {
+  if (this.slug && !this.isModified('title_en') && !this.isModified('title_np')) return;
+
+  const slugFields = await resolvePostSlug(this.constructor, this);
+  if (slugFields) {
+    this.slug = slugFields.slug;
+    this.slugHistory = slugFields.slugHistory;
+  }
+});
+
+// Keep the romanized search text in step with the Nepali fields.
+// Updates through findByIdAndUpdate must set it themselves.
+postSchema.pre('validate', function(next) {
+  if (this.isNew || ['title_np', 'excerpt_np', 'content_np'].some((field) => this.isModified(field))) {
+    this.searchRomanized = romanizedSearchText(this);
+  }
+  next();
+});
+
+// Workflow states in which a publishAt date takes effect: approved, or no
+// state at all for posts scheduled before the editorial workflow existed
+const SCHEDULABLE_STATES = ['approved', null];
+postSchema.statics.SCHEDULABLE_STATES = SCHEDULABLE_STATES;
+
+// Query filter for posts the public may see right now. Checks the schedule
+// itself so visibility is exact even between post scheduler runs.
+postSchema.statics.visibleFilter = function(now = new Date()) {
+  return {
+    $and: [
+      { $or: [{ published: true }, { publishAt: { $lte: now }, workflowState: { $in: SCHEDULABLE_STATES } }] },
+      { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] }
+    ]
+  };
+};
+
+// draft | scheduled | published | unpublished (scheduled unpublish reached)
+postSchema.statics.scheduleStatus = function(post, now = new Date()) {
+  if (post.unpublishAt && post.unpublishAt <= now) return 'unpublished';
+  if (post.published) return 'published';
+  if (post.unpublishedAt) return 'unpublished';
+  if (post.publishAt && SCHEDULABLE_STATES.includes(post.workflowState || null)) {
+    return post.publishAt <= now ? 'published' : 'scheduled';
+  }
+  return 'draft';
+};
 
 module.exports = mongoose.model('Post', postSchema);
\ No newline at end of file
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const { REACTION_TYPES } = require('../config/reactions');
+
+// Per-post, per-day (UTC) activity counters, incremented atomically as it happens
+const postDailyStatSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // Midnight UTC of the day
+  date: {
+    type: Date,
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  // Net reactions given that day (removals subtract)
+  reactions: REACTION_TYPES.reduce((fields, type) => ({
+    ...fields,
+    [type]: { type: Number, default: 0 }
+  }), {}),
+  // Comments that became public that day
+  comments: {
+    type: Number,
+    default: 0
+  }
+});
+
+postDailyStatSchema.index({ post: 1, date: 1 }, { unique: true });
+postDailyStatSchema.index({ date: 1 });
+
+module.exports = mongoose.model('PostDailyStat', postDailyStatSchema);
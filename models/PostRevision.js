@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // Sequential per post, starting at 1 for the created version
+  revision: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'restore'],
+    required: true
+  },
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedFields: [{
+    type: String
+  }],
+  // Tracked post fields (see utils/postRevisions.js) as they were after this revision
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  restoredFrom: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+postRevisionSchema.index({ post: 1, revision: -1 }, { unique: true });
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
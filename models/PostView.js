@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Marker for "this visitor already viewed this post in this time window".
+// One document per (post, visitor, window); expired windows are removed by the TTL index.
+const postViewSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // Visitor key (see middleware/visitor.js) or a hash of IP + user agent
+  visitorKey: {
+    type: String,
+    required: true
+  },
+  // Index of the dedup window since the epoch
+  bucket: {
+    type: Number,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+postViewSchema.index({ post: 1, visitorKey: 1, bucket: 1 }, { unique: true });
+postViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PostView', postViewSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const { REACTION_TYPES } = require('../config/reactions');
+
+// One document per (post, visitor, reaction type); the unique index is what
+// makes reacting twice impossible, even with simultaneous requests
+const reactionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: REACTION_TYPES,
+    required: true
+  },
+  // `user:<id>` for signed-in users, `visitor:<id>` for anonymous visitors
+  actorKey: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+reactionSchema.index({ post: 1, actorKey: 1, type: 1 }, { unique: true });
+reactionSchema.index({ actorKey: 1, post: 1 });
+
+module.exports = mongoose.model('Reaction', reactionSchema);
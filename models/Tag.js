@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const tagSchema = new mongoose.Schema({
+  // Normalized identifier ("AI", "ai " → "ai"), see utils/tags.js
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name_en: {
+    type: String,
+    trim: true,
+    maxlength: [60, 'Tag name cannot be more than 60 characters']
+  },
+  name_np: {
+    type: String,
+    trim: true,
+    maxlength: [60, 'Tag name cannot be more than 60 characters']
+  },
+  // Keys of tags merged into (or renamed to) this one; new posts using them get this tag
+  aliases: [{
+    type: String
+  }]
+}, {
+  timestamps: true
+});
+
+tagSchema.index({ aliases: 1 });
+
+// Tags need a name in at least one language
+tagSchema.pre('validate', function(next) {
+  if (!this.name_en && !this.name_np) {
+    this.invalidate('name_en', 'Please add a tag name in English or Nepali');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Tag', tagSchema);
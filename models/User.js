@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { ROLES, ADMIN_ROLES } = require('../config/roles');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -26,13 +28,18 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
   avatar: {
     type: String,
     default: ''
   },
+  // Cloudinary public_id of the avatar, used to delete it when replaced
+  avatarPublicId: {
+    type: String,
+    select: false
+  },
   bio: {
     type: String,
     maxlength: [500, 'Bio cannot be more than 500 characters']
@@ -40,6 +47,70 @@ const userSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Accounts that predate email verification count as verified;
+  // register() creates new accounts with this explicitly set to false
+  isEmailVerified: {
+    type: Boolean,
+    default: true
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpire: {
+    type: Date,
+    select: false
+  },
+  // Hashed single-use password reset token
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpire: {
+    type: Date,
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // Set by an admin: login is refused until the password is reset by email
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  // Consecutive failed logins; reset on success or when a lock is applied
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  // TOTP two-factor authentication
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret generated during enrollment, promoted once a code is confirmed
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // SHA-256 hashes of unused single-use recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Last accepted TOTP time step, so a code cannot be replayed
+  twoFactorLastStep: {
+    type: Number,
+    select: false
   }
 }, {
   timestamps: true
@@ -48,11 +119,16 @@ const userSchema = new mongoose.Schema({
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
-  
+
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+    this.passwordResetRequired = false;
+  }
   next();
 });
 
@@ -61,4 +137,74 @@ userSchema.methods.comparePassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Check whether the account is temporarily locked after failed logins
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Apply a role/isActive change unless it would leave no active admin; returns
+// false (nothing changed) when refused. MongoDB cannot make one document's
+// update conditional on the others, so an admin losing access is updated
+// first and restored when no other active admin remains: of two admins
+// removing each other at once, at least one keeps access.
+userSchema.statics.updateUnlessLastAdmin = async function(user, changes) {
+  const before = { role: user.role, isActive: user.isActive };
+  const after = { ...before, ...changes };
+  const losesAdminAccess = ADMIN_ROLES.includes(before.role) && before.isActive &&
+    !(ADMIN_ROLES.includes(after.role) && after.isActive);
+
+  if (!losesAdminAccess) {
+    await this.updateOne({ _id: user._id }, { $set: changes });
+    Object.assign(user, changes);
+    return true;
+  }
+
+  // Only while the account still has the admin access checked above
+  const result = await this.updateOne({ _id: user._id, ...before }, { $set: changes });
+  if (result.modifiedCount !== 1) return false;
+
+  const otherAdmins = await this.countDocuments({
+    _id: { $ne: user._id },
+    role: { $in: ADMIN_ROLES },
+    isActive: true
+  });
+  if (otherAdmins === 0) {
+    await this.updateOne({ _id: user._id }, { $set: before });
+    return false;
+  }
+
+  Object.assign(user, changes);
+  return true;
+};
+
+// Random token whose SHA-256 hash is stored in `field` until `expiresInMinutes` pass
+const setHashedToken = (user, field, expireField, expiresInMinutes) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  user[field] = crypto.createHash('sha256').update(token).digest('hex');
+  user[expireField] = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  return token;
+};
+
+// Generate a password reset token; only its hash is stored on the user
+userSchema.methods.createPasswordResetToken = function() {
+  return setHashedToken(
+    this,
+    'passwordResetToken',
+    'passwordResetExpire',
+    parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 30
+  );
+};
+
+// Generate an email verification token; only its hash is stored on the user
+userSchema.methods.createEmailVerificationToken = function() {
+  return setHashedToken(
+    this,
+    'emailVerificationToken',
+    'emailVerificationExpire',
+    (parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS, 10) || 48) * 60
+  );
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
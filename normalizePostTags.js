@@ -0,0 +1,51 @@
+// normalizePostTags.js - Register the tags already on posts and collapse
+// spelling variants ("AI", "ai ") into one tag
+// Usage: node normalizePostTags.js
+// The most used spelling of each tag becomes its name. Different words for
+// the same thing ("AI" / "Artificial Intelligence") are merged afterwards
+// with POST /api/tags/:key/merge. Safe to re-run.
+const Post = require('./models/Post');
+const mongoose = require('mongoose');
+const { resolveTags, rewritePostTags } = require('./utils/tags');
+require('dotenv').config(); // Load environment variables
+
+async function normalizePostTags() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const names = await Post.aggregate([
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]);
+
+    let renamed = 0;
+    let postsUpdated = 0;
+    for (const { _id: name } of names) {
+      let label;
+      try {
+        [label] = await resolveTags([name]);
+      } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+        console.warn(`Skipped "${name}": ${Object.values(error.errors).map((err) => err.message).join(', ')}`);
+        continue;
+      }
+      if (label === name) continue;
+
+      // Also drops empty tags left by the old comma splitting
+      const changed = await rewritePostTags([name], label || null);
+      console.log(`"${name}" → ${label ? `"${label}"` : '(removed)'} on ${changed} post(s)`);
+      renamed += 1;
+      postsUpdated += changed;
+    }
+
+    console.log(`Checked ${names.length} tag name(s): ${renamed} rewritten on ${postsUpdated} post(s)`);
+  } catch (error) {
+    console.error('Error normalizing post tags:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+normalizePostTags();
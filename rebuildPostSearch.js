@@ -0,0 +1,35 @@
+// rebuildPostSearch.js - Switch to the weighted bilingual search index and
+// fill in the romanized Nepali search text of existing posts
+// Usage: node rebuildPostSearch.js
+// Safe to run repeatedly; the romanized text is recomputed for every post.
+const Post = require('./models/Post');
+const mongoose = require('mongoose');
+const { romanizedSearchText } = require('./utils/search');
+require('dotenv').config(); // Load environment variables
+
+async function rebuildPostSearch() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    // A collection can only have one text index: this drops the old one
+    // and creates `post_search` from the schema
+    const dropped = await Post.syncIndexes();
+    if (dropped.length) console.log(`Dropped index(es): ${dropped.join(', ')}`);
+
+    const cursor = Post.find().select('title_np excerpt_np content_np').lean().cursor();
+    let updated = 0;
+    for (let post = await cursor.next(); post; post = await cursor.next()) {
+      await Post.updateOne({ _id: post._id }, { $set: { searchRomanized: romanizedSearchText(post) } });
+      updated += 1;
+    }
+
+    console.log(`Rebuilt search text for ${updated} post(s)`);
+  } catch (error) {
+    console.error('Error rebuilding post search:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+rebuildPostSearch();
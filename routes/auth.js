@@ -1,7 +1,32 @@
 const express = require('express');
+const multer = require('multer');
 const { body } = require('express-validator');
-const { register, login, getMe } = require('../controllers/authController');
-const { protect } = require('../middleware/auth');
+const { avatarUpload } = require('../config/multer.config');
+const {
+  register,
+  login,
+  getMe,
+  updateMe,
+  updateAvatar,
+  changePassword,
+  deactivateMe,
+  getSessions,
+  revokeMySession,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
+} = require('../controllers/authController');
+const {
+  verifyLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/twoFactorController');
+const { protect, protectTwoFactorSetup } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -30,9 +55,95 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+];
+
+const resendVerificationValidation = forgotPasswordValidation;
+
+const resetPasswordValidation = [
+  body('token')
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+];
+
+const updateMeValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters'),
+  body('bio')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Bio cannot be more than 500 characters')
+];
+
+const changePasswordValidation = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+];
+
 // Routes
 router.post('/register', registerValidation, register);
 router.post('/login', loginValidation, login);
-router.get('/me', getMe);
+router.post('/refresh', refresh);
+router.post('/logout', logout);
+router.post('/forgot-password', forgotPasswordValidation, forgotPassword);
+router.post('/reset-password', resetPasswordValidation, resetPassword);
+router.get('/verify-email/:token', verifyEmail);
+router.post('/resend-verification', resendVerificationValidation, resendVerification);
+
+// Current user profile
+router.get('/me', protect, getMe);
+router.put('/me', protect, updateMeValidation, updateMe);
+router.put('/me/avatar', protect, avatarUpload, updateAvatar);
+router.put('/me/password', protect, changePasswordValidation, changePassword);
+router.post('/me/deactivate', protect, deactivateMe);
+
+// Signed-in sessions / devices
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, revokeMySession);
+
+// Two-factor authentication
+router.post('/2fa/verify', verifyLogin);
+router.post('/2fa/setup', protectTwoFactorSetup, setupTwoFactor);
+router.post('/2fa/enable', protectTwoFactorSetup, enableTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
+
+// Avatar upload errors
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    return res.status(400).json({
+      success: false,
+      message: error.code === 'LIMIT_FILE_SIZE'
+        ? 'File too large. Maximum size is 2MB.'
+        : 'Unexpected field. Use "avatar" as the field name.',
+      error: error.message
+    });
+  }
+
+  if (error) {
+    console.error('❌ Upload/Cloudinary Error:', error.message);
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  next();
+});
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,44 @@
+const express = require('express');
+const {
+  getCategories,
+  getAdminCategories,
+  createCategory,
+  reorderCategories,
+  updateCategory,
+  deleteCategory
+} = require('../controllers/categoryController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/categories
+// @desc    Active categories with English/Nepali names and public post counts
+// @access  Public
+router.get('/', getCategories);
+
+// @route   GET /api/categories/admin
+// @desc    All categories, including inactive ones
+// @access  Private (categories:manage)
+router.get('/admin', protect, requirePermission('categories:manage'), getAdminCategories);
+
+// @route   POST /api/categories
+// @desc    Create a category
+// @access  Private (categories:manage)
+router.post('/', protect, requirePermission('categories:manage'), createCategory);
+
+// @route   PUT /api/categories/order
+// @desc    Set the menu order of the categories
+// @access  Private (categories:manage)
+router.put('/order', protect, requirePermission('categories:manage'), reorderCategories);
+
+// @route   PUT /api/categories/:key
+// @desc    Update names, descriptions, order or the active flag
+// @access  Private (categories:manage)
+router.put('/:key', protect, requirePermission('categories:manage'), updateCategory);
+
+// @route   DELETE /api/categories/:key
+// @desc    Delete a category (its posts must be reassigned)
+// @access  Private (categories:manage)
+router.delete('/:key', protect, requirePermission('categories:manage'), deleteCategory);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const {
+  getModerationQueue,
+  moderateComments
+} = require('../controllers/commentController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Posting and reporting comments live under /api/posts/:id/comments;
+// everything here is for moderators
+router.use(protect, requirePermission('comments:moderate'));
+
+// @route   GET /api/comments/moderation
+// @desc    Moderation queue (pending by default), filterable by status/reports/post
+// @access  Private (comments:moderate)
+router.get('/moderation', getModerationQueue);
+
+// @route   POST /api/comments/moderation/bulk
+// @desc    Approve, reject, mark as spam or delete several comments at once
+// @access  Private (comments:moderate)
+router.post('/moderation/bulk', moderateComments);
+
+module.exports = router;
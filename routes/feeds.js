@@ -0,0 +1,16 @@
+const express = require('express');
+const { getPostsRss, getPostsAtom } = require('../controllers/feedController');
+
+const router = express.Router();
+
+// @route   GET /api/feeds/posts.rss
+// @desc    RSS 2.0 feed of public posts (?language=en|np&category=<key>)
+// @access  Public
+router.get('/posts.rss', getPostsRss);
+
+// @route   GET /api/feeds/posts.atom
+// @desc    Atom feed of public posts (?language=en|np&category=<key>)
+// @access  Public
+router.get('/posts.atom', getPostsAtom);
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  getInvitationByToken,
+  acceptInvitation
+} = require('../controllers/invitationController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { ROLES } = require('../config/roles');
+
+const router = express.Router();
+
+// Validation rules
+const invitationValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('role')
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+];
+
+const acceptValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+];
+
+// @route   GET /api/invitations/accept/:token
+// @desc    Look up invitation details from the emailed link
+// @access  Public
+router.get('/accept/:token', getInvitationByToken);
+
+// @route   POST /api/invitations/accept/:token
+// @desc    Accept invitation and create account
+// @access  Public
+router.post('/accept/:token', acceptValidation, acceptInvitation);
+
+// @route   POST /api/invitations
+// @desc    Invite a new staff member
+// @access  Private (users:invite)
+router.post('/', protect, requirePermission('users:invite'), invitationValidation, createInvitation);
+
+// @route   GET /api/invitations
+// @desc    List invitations
+// @access  Private (users:invite)
+router.get('/', protect, requirePermission('users:invite'), getInvitations);
+
+// @route   DELETE /api/invitations/:id
+// @desc    Revoke a pending invitation
+// @access  Private (users:invite)
+router.delete('/:id', protect, requirePermission('users:invite'), revokeInvitation);
+
+module.exports = router;
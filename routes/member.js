@@ -10,6 +10,7 @@ const {
   getMembershipStats
 } = require('../controllers/memberController');
 const { memberUpload } = require('../config/multer.config');
+const { protect, requirePermission } = require('../middleware/auth');
 
 // @route   POST /api/members
 // @desc    Create new member application
@@ -18,32 +19,32 @@ router.post('/', memberUpload, createMember);
 
 // @route   GET /api/members
 // @desc    Get all members with filtering and pagination
-// @access  Private
-router.get('/', getAllMembers);
+// @access  Private (members:read)
+router.get('/', protect, requirePermission('members:read'), getAllMembers);
 
 // @route   GET /api/members/stats
 // @desc    Get membership statistics
-// @access  Private
-router.get('/stats', getMembershipStats);
+// @access  Private (members:stats)
+router.get('/stats', protect, requirePermission('members:stats'), getMembershipStats);
 
 // @route   GET /api/members/:id
 // @desc    Get single member by ID
-// @access  Private
-router.get('/:id', getMemberById);
+// @access  Private (members:read)
+router.get('/:id', protect, requirePermission('members:read'), getMemberById);
 
 // @route   PUT /api/members/:id/status
 // @desc    Update member status
-// @access  Private
-router.put('/:id/status', updateMemberStatus);
+// @access  Private (members:updateStatus)
+router.put('/:id/status', protect, requirePermission('members:updateStatus'), updateMemberStatus);
 
 // @route   PUT /api/members/:id
 // @desc    Update member information
-// @access  Private
-router.put('/:id', updateMember);
+// @access  Private (members:update)
+router.put('/:id', protect, requirePermission('members:update'), updateMember);
 
 // @route   DELETE /api/members/:id
 // @desc    Delete member
-// @access  Private
-router.delete('/:id', deleteMember);
+// @access  Private (members:delete)
+router.delete('/:id', protect, requirePermission('members:delete'), deleteMember);
 
 module.exports = router;
\ No newline at end of file
@@ -2,17 +2,46 @@ const express = require('express');
 const path = require('path');
 const multer = require('multer');
 const { upload } = require('../config/multer.config');
+const { protect, optionalProtect, requirePermission } = require('../middleware/auth');
+const { identifyVisitor } = require('../middleware/visitor');
 const {
   getPosts,
   getAdminPosts,
   getPost,
+  getPostBySlug,
+  getRelatedPosts,
   createPost,
   updatePost,
-  deletePost,
+  deletePost
+} = require('../controllers/postController');
+const { getStats } = require('../controllers/statsController');
+const {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
+} = require('../controllers/postRevisionController');
+const {
+  transitionPost,
+  assignReviewer,
+  getReviewNotes,
+  addReviewNote
+} = require('../controllers/postWorkflowController');
+const {
+  addReaction,
+  removeReaction,
   likePost,
+  getPostReactions,
+  getMyReactions
+} = require('../controllers/reactionController');
+const { getPostAnalytics } = require('../controllers/postAnalyticsController');
+const {
+  getComments,
   addComment,
-  getStats
-} = require('../controllers/postController');
+  updateComment,
+  deleteComment,
+  reportComment
+} = require('../controllers/commentController');
 
 const router = express.Router();
 
@@ -36,19 +65,48 @@ console.log('✅ Upload middleware loaded successfully');
 //
 // router.use('/uploads', express.static(path.join(__dirname, '../uploads')));
 
+// ============================================
+// 🔐 STAFF-ONLY READ ROUTES
+// ============================================
+router.get('/stats', protect, requirePermission('stats:read'), getStats);
+router.get('/admin', protect, requirePermission('posts:list'), getAdminPosts);
+
+// Revision history (diff must come before /:rev)
+router.get('/:id/revisions', protect, requirePermission('posts:readAll'), getRevisions);
+router.get('/:id/revisions/diff', protect, requirePermission('posts:readAll'), diffRevisions);
+router.get('/:id/revisions/:rev', protect, requirePermission('posts:readAll'), getRevision);
+router.post('/:id/revisions/:rev/restore', protect, requirePermission('posts:review'), restoreRevision);
+
+// Daily views, reactions and comments (authors may see their own posts)
+router.get('/:id/analytics', protect, requirePermission('posts:list'), getPostAnalytics);
+
+// Editorial workflow (per-transition permissions are checked in the controller)
+router.post('/:id/workflow', protect, requirePermission('posts:submit'), transitionPost);
+router.put('/:id/reviewer', protect, requirePermission('posts:review'), assignReviewer);
+router.get('/:id/review-notes', protect, requirePermission('posts:list'), getReviewNotes);
+router.post('/:id/review-notes', protect, requirePermission('posts:list'), addReviewNote);
+
 // ============================================
 // 🌍 PUBLIC ROUTES (No upload needed)
 // ============================================
-router.get('/stats', getStats);
-router.get('/admin', getAdminPosts);
-router.get('/:id', getPost);
+router.get('/slug/:slug', optionalProtect, identifyVisitor, getPostBySlug);
+router.get('/reactions/mine', optionalProtect, identifyVisitor, getMyReactions);
+router.get('/:id/related', getRelatedPosts);
+router.get('/:id', optionalProtect, identifyVisitor, getPost);
 router.get('/', getPosts);
 
 // ============================================
 // ❤️ POST INTERACTION ROUTES
 // ============================================
-router.put('/:id/like', likePost);
-router.post('/:id/comments', addComment);
+router.put('/:id/like', optionalProtect, identifyVisitor, likePost);
+router.get('/:id/reactions', optionalProtect, identifyVisitor, getPostReactions);
+router.put('/:id/reactions/:type', optionalProtect, identifyVisitor, addReaction);
+router.delete('/:id/reactions/:type', optionalProtect, identifyVisitor, removeReaction);
+router.get('/:id/comments', getComments);
+router.post('/:id/comments', optionalProtect, addComment);
+router.put('/:id/comments/:commentId', optionalProtect, updateComment);
+router.delete('/:id/comments/:commentId', optionalProtect, deleteComment);
+router.post('/:id/comments/:commentId/report', optionalProtect, reportComment);
 
 // ============================================
 // 🧾 CRUD ROUTES WITH IMAGE UPLOADS
@@ -57,10 +115,13 @@ router.post('/:id/comments', addComment);
 /**
  * POST /api/posts
  * Create a new post with Cloudinary image upload.
+ * Requires the `posts:create` permission.
  * Expects: multipart/form-data with 'image' field.
  */
 router.post(
   '/',
+  protect,
+  requirePermission('posts:create'),
   upload, // already .single('image') inside config
   (req, res, next) => {
     console.log('📝 POST /posts - Cloudinary upload initiated...');
@@ -74,9 +135,12 @@ router.post(
 /**
  * PUT /api/posts/:id
  * Update an existing post (optional new image upload).
+ * Requires the `posts:update` permission.
  */
 router.put(
   '/:id',
+  protect,
+  requirePermission('posts:update'),
   upload,
   (req, res, next) => {
     console.log(`✏️ PUT /posts/${req.params.id} - File upload attempt`);
@@ -90,8 +154,9 @@ router.put(
 /**
  * DELETE /api/posts/:id
  * Delete a post (no file upload needed).
+ * Requires the `posts:delete` permission.
  */
-router.delete('/:id', deletePost);
+router.delete('/:id', protect, requirePermission('posts:delete'), deletePost);
 
 // ============================================
 // ⚠️ MULTER & UPLOAD ERROR HANDLING
@@ -0,0 +1,18 @@
+const express = require('express');
+const { getSitemap, getSitemapPart } = require('../controllers/sitemapController');
+
+const router = express.Router();
+
+// Served at the site root (not /api) where crawlers look for them
+
+// @route   GET /sitemap.xml
+// @desc    Sitemap of public pages, categories and posts (an index when large)
+// @access  Public
+router.get('/sitemap.xml', getSitemap);
+
+// @route   GET /sitemaps/:name
+// @desc    Part of the sitemap index (pages.xml, posts-<n>.xml)
+// @access  Public
+router.get('/sitemaps/:name', getSitemapPart);
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const {
+  getTags,
+  getAdminTags,
+  createTag,
+  renameTag,
+  mergeTag,
+  deleteTag
+} = require('../controllers/tagController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/tags
+// @desc    Tags with their number of public posts (bilingual names)
+// @access  Public
+router.get('/', getTags);
+
+// @route   GET /api/tags/admin
+// @desc    All tags, including unused ones and aliases, with counts over all posts
+// @access  Private (tags:manage)
+router.get('/admin', protect, requirePermission('tags:manage'), getAdminTags);
+
+// @route   POST /api/tags
+// @desc    Register a tag with English/Nepali names
+// @access  Private (tags:manage)
+router.post('/', protect, requirePermission('tags:manage'), createTag);
+
+// @route   PUT /api/tags/:key
+// @desc    Rename a tag and rewrite the posts carrying it
+// @access  Private (tags:manage)
+router.put('/:key', protect, requirePermission('tags:manage'), renameTag);
+
+// @route   POST /api/tags/:key/merge
+// @desc    Merge a tag into another one and rewrite the posts carrying it
+// @access  Private (tags:manage)
+router.post('/:key/merge', protect, requirePermission('tags:manage'), mergeTag);
+
+// @route   DELETE /api/tags/:key
+// @desc    Delete a tag and remove it from all posts
+// @access  Private (tags:manage)
+router.delete('/:key', protect, requirePermission('tags:manage'), deleteTag);
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const {
+  getUsers,
+  getUser,
+  updateUserRole,
+  updateUserStatus,
+  forcePasswordReset,
+  deleteUser,
+  getLoginAttempts,
+  unlockUser
+} = require('../controllers/userController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Every user-management route requires an authenticated staff account
+router.use(protect);
+
+// @route   GET /api/users/login-attempts
+// @desc    Review recorded login attempts
+// @access  Private (users:audit)
+router.get('/login-attempts', requirePermission('users:audit'), getLoginAttempts);
+
+// @route   GET /api/users
+// @desc    List/search users with pagination
+// @access  Private (users:manage)
+router.get('/', requirePermission('users:manage'), getUsers);
+
+// @route   GET /api/users/:id
+// @desc    Get single user
+// @access  Private (users:manage)
+router.get('/:id', requirePermission('users:manage'), getUser);
+
+// @route   PUT /api/users/:id/role
+// @desc    Change user role
+// @access  Private (users:manage)
+router.put('/:id/role', requirePermission('users:manage'), updateUserRole);
+
+// @route   PUT /api/users/:id/status
+// @desc    Activate or deactivate user
+// @access  Private (users:manage)
+router.put('/:id/status', requirePermission('users:manage'), updateUserStatus);
+
+// @route   POST /api/users/:id/force-password-reset
+// @desc    Revoke sessions and require a new password
+// @access  Private (users:manage)
+router.post('/:id/force-password-reset', requirePermission('users:manage'), forcePasswordReset);
+
+// @route   DELETE /api/users/:id
+// @desc    Delete user
+// @access  Private (users:manage)
+router.delete('/:id', requirePermission('users:manage'), deleteUser);
+
+// @route   POST /api/users/:id/unlock
+// @desc    Unlock an account locked after failed logins
+// @access  Private (users:manage)
+router.post('/:id/unlock', requirePermission('users:manage'), unlockUser);
+
+module.exports = router;
@@ -5,6 +5,7 @@ const rateLimit = require('express-rate-limit');
 const dotenv = require('dotenv');
 const path = require('path');
 const connectDB = require('./config/db');
+const { startPostScheduler } = require('./utils/postScheduler');
 
 require('dotenv').config();
 
@@ -17,8 +18,17 @@ const { cloudinary } = require('./config/cloudinary.config');
 // Connect to database
 connectDB();
 
+// Apply scheduled publish/unpublish times (catches up on anything missed while down)
+startPostScheduler();
+
 const app = express();
 
+// Behind a reverse proxy (Render, Vercel, nginx) req.ip must come from X-Forwarded-For,
+// otherwise per-IP login throttling would treat every visitor as the proxy
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY, 10) : process.env.TRUST_PROXY);
+}
+
 // ===== CORS CONFIGURATION =====
 const corsOptions = {
   origin: function (origin, callback) {
@@ -57,9 +67,11 @@ const corsOptions = {
     'x-requested-with',
     'Accept',
     'Origin',
-    'X-Requested-With'
+    'X-Requested-With',
+    'X-Comment-Token',
+    'X-Visitor-Id'
   ],
-  exposedHeaders: ['set-cookie'],
+  exposedHeaders: ['set-cookie', 'X-Visitor-Id'],
   optionsSuccessStatus: 200,
   preflightContinue: false
 };
@@ -331,6 +343,13 @@ app.get('/api/youtube/test', async (req, res) => {
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/posts', require('./routes/posts'));
 app.use('/api/members', require('./routes/member'))
+app.use('/api/users', require('./routes/users'));
+app.use('/api/invitations', require('./routes/invitations'));
+app.use('/api/comments', require('./routes/comments'));
+app.use('/api/tags', require('./routes/tags'));
+app.use('/api/categories', require('./routes/categories'));
+app.use('/api/feeds', require('./routes/feeds'));
+app.use('/', require('./routes/sitemap'));
 
 
 // ===== UTILITY ENDPOINTS =====
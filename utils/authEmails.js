@@ -0,0 +1,65 @@
+/**
+ * Account Emails
+ * --------------
+ * Transactional emails sent by the auth and user-management controllers.
+ */
+
+const { sendEmail, clientUrl } = require('./mailer');
+
+/**
+ * Email the account verification link for a freshly generated token.
+ */
+const sendVerificationEmail = (user, verificationToken) => {
+  const verifyUrl = clientUrl(`/verify-email/${verificationToken}`);
+
+  return sendEmail({
+    to: user.email,
+    subject: 'Verify your ICT Forum Nepal email address',
+    text: `Hello ${user.name},\n\n` +
+      `Please confirm your email address by opening the link below.\n\n` +
+      `${verifyUrl}\n\n` +
+      `If you did not create an account, you can ignore this email.`
+  });
+};
+
+/**
+ * Email a password reset link. `forced` is set when an admin required the reset.
+ */
+const sendPasswordResetEmail = (user, resetToken, { forced = false } = {}) => {
+  const resetUrl = clientUrl(`/reset-password?token=${resetToken}`);
+  const intro = forced
+    ? 'An administrator has required you to choose a new password before you can sign in again.'
+    : 'Use the link below to choose a new password.';
+
+  return sendEmail({
+    to: user.email,
+    subject: 'Reset your ICT Forum Nepal password',
+    text: `Hello ${user.name},\n\n` +
+      `${intro} The link can be used once and expires soon.\n\n` +
+      `${resetUrl}\n\n` +
+      (forced ? '' : 'If you did not request a password reset, you can ignore this email.')
+  });
+};
+
+/**
+ * Email a staff invitation link.
+ */
+const sendInvitationEmail = (invitation, invitationToken, invitedBy) => {
+  const acceptUrl = clientUrl(`/accept-invitation/${invitationToken}`);
+
+  return sendEmail({
+    to: invitation.email,
+    subject: 'You have been invited to ICT Forum Nepal',
+    text: `Hello,\n\n` +
+      `${invitedBy ? invitedBy.name : 'An administrator'} has invited you to join ICT Forum Nepal ` +
+      `as ${invitation.role}. Open the link below to create your account.\n\n` +
+      `${acceptUrl}\n\n` +
+      `This invitation expires on ${invitation.expiresAt.toUTCString()}.`
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendInvitationEmail
+};
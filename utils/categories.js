@@ -0,0 +1,42 @@
+/**
+ * Post Categories
+ * ---------------
+ * Cached list of the Category collection for hot paths (search, listings).
+ * Cached for a minute and dropped whenever a category is changed through
+ * the API; validation of Post.category always reads the collection itself.
+ */
+
+const Category = require('../models/Category');
+const { createMemoryCache } = require('./memoryCache');
+
+const cache = createMemoryCache({ ttlMs: 60 * 1000, maxEntries: 1 });
+
+/**
+ * All categories (active and inactive), in menu order.
+ */
+const listCategories = () => cache.wrap('all', () => Category.find().sort({ order: 1, name_en: 1 }).lean());
+
+/**
+ * Drop the cached list (after a category is created, edited or deleted).
+ */
+const clearCategoryCache = () => cache.clear();
+
+/**
+ * Category key in camelCase from an English name ("AI Policy" → "aiPolicy").
+ * Names starting with a digit give an invalid key, so those need an explicit one.
+ */
+const categoryKeyFor = (name) => String(name || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-zA-Z0-9]+/g, ' ')
+  .trim()
+  .split(' ')
+  .filter(Boolean)
+  .map((word, i) => (i === 0 ? word.toLowerCase() : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()))
+  .join('');
+
+module.exports = {
+  listCategories,
+  clearCategoryCache,
+  categoryKeyFor
+};
@@ -0,0 +1,41 @@
+/**
+ * Comment Spam Filter
+ * -------------------
+ * Cheap content checks run on every new comment. Any reason returned
+ * files the comment as spam for a moderator to confirm or release.
+ */
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+/gi;
+
+/**
+ * Reasons a comment looks like spam (empty when it looks fine).
+ * @param {{ text: string, name?: string, honeypot?: string }} comment
+ * @param {{ maxLinks: number, blocklist: string[] }} rules
+ */
+const spamReasons = ({ text, name = '', honeypot }, rules) => {
+  const reasons = [];
+  const content = `${name} ${text}`.toLowerCase();
+
+  // Hidden form field only bots fill in
+  if (honeypot) reasons.push('honeypot');
+
+  const links = (text.match(LINK_PATTERN) || []).length;
+  if (links > rules.maxLinks) reasons.push('tooManyLinks');
+
+  if (rules.blocklist.some((word) => content.includes(word))) reasons.push('blockedWord');
+
+  // Long runs of one character ("!!!!!!!!!!", "aaaaaaaaaa")
+  if (/(.)\1{9,}/u.test(text)) reasons.push('repeatedCharacters');
+
+  // Shouting: long comments written almost entirely in capitals
+  const letters = text.replace(/[^A-Za-z]/g, '');
+  if (letters.length >= 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.8) {
+    reasons.push('allCaps');
+  }
+
+  return reasons;
+};
+
+module.exports = {
+  spamReasons
+};
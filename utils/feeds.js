@@ -0,0 +1,162 @@
+/**
+ * Syndication Feeds
+ * -----------------
+ * RSS 2.0 and Atom documents for GET /api/feeds/posts.rss|.atom (cached
+ * until a post changes, FEED_MAX_AGE_SECONDS at most), plus the public
+ * frontend URL of a post (CLIENT_URL + CLIENT_POST_PATH, default
+ * "/posts/:slug"; Nepali links add ?lang=np).
+ */
+
+const { clientUrl } = require('./mailer');
+const { stripHtml } = require('./search');
+const { createMemoryCache } = require('./memoryCache');
+
+const SITE_NAME = 'ICT Forum Nepal';
+const SITE_DESCRIPTION = {
+  en: 'News and articles from ICT Forum Nepal',
+  np: 'आईसीटी फोरम नेपालका समाचार तथा लेखहरू'
+};
+// Feed language codes (ISO 639-1 uses "ne" for Nepali)
+const LANGUAGE_CODES = { en: 'en', np: 'ne' };
+const SUMMARY_LENGTH = 300;
+// How long readers and the server keep a generated feed
+const FEED_MAX_AGE_SECONDS = 15 * 60;
+
+const IMAGE_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  svg: 'image/svg+xml'
+};
+
+const escapeXml = (text) => String(text === undefined || text === null ? '' : text)
+  // Control characters are not allowed in XML 1.0
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Generated feeds by URL; dropped whenever a post changes
+const cache = createMemoryCache({ ttlMs: FEED_MAX_AGE_SECONDS * 1000, maxEntries: 200 });
+
+/**
+ * Cached feed for `url`, generated with `generate()` on a miss.
+ */
+const cachedFeed = (url, generate) => cache.wrap(url, generate);
+
+/**
+ * Drop all cached feeds (after a post is created, edited or deleted).
+ */
+const clearFeedCache = () => cache.clear();
+
+/**
+ * Public frontend URL of a post in the given language.
+ */
+const postUrl = (post, language = 'en') => {
+  const pathname = (process.env.CLIENT_POST_PATH || '/posts/:slug')
+    .replace(':slug', encodeURIComponent(post.slug || String(post._id)));
+  return clientUrl(`${pathname}${language === 'np' ? '?lang=np' : ''}`);
+};
+
+/**
+ * Feed item fields of a post, with the same language fallbacks as getPosts.
+ * `categoryNames` maps category keys to their name in `language`.
+ */
+const feedItem = (post, language, categoryNames = new Map()) => {
+  const excerpt = post[`excerpt_${language}`] || post.excerpt_en ||
+    stripHtml(post[`content_${language}`] || post.content_en);
+  const imageExtension = post.image && (post.image.split('?')[0].match(/\.([a-z0-9]+)$/i) || [])[1];
+
+  return {
+    id: `urn:ictforumnepal:post:${post._id}`,
+    title: post[`title_${language}`] || post.title_en || 'Untitled',
+    link: postUrl(post, language),
+    summary: excerpt.length > SUMMARY_LENGTH ? `${excerpt.slice(0, SUMMARY_LENGTH).replace(/\s+\S*$/, '')} …` : excerpt,
+    author: post.author && post.author.name,
+    category: categoryNames.get(post.category) || post.category,
+    published: new Date(post.publishedAt || post.publishAt || post.createdAt),
+    updated: new Date(post.updatedAt || post.createdAt),
+    image: post.image && /^https?:\/\//.test(post.image)
+      ? { url: post.image, type: IMAGE_TYPES[String(imageExtension).toLowerCase()] || 'image/jpeg' }
+      : null
+  };
+};
+
+/**
+ * RSS 2.0 document. `channel`: { title, description, language, link, selfUrl, updated }.
+ */
+const buildRss = (channel, items) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+  '<channel>',
+  `<title>${escapeXml(channel.title)}</title>`,
+  `<link>${escapeXml(channel.link)}</link>`,
+  `<description>${escapeXml(channel.description)}</description>`,
+  `<language>${LANGUAGE_CODES[channel.language]}</language>`,
+  `<lastBuildDate>${channel.updated.toUTCString()}</lastBuildDate>`,
+  `<atom:link href="${escapeXml(channel.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+  ...items.map((item) => [
+    '<item>',
+    `<title>${escapeXml(item.title)}</title>`,
+    `<link>${escapeXml(item.link)}</link>`,
+    `<guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+    `<pubDate>${item.published.toUTCString()}</pubDate>`,
+    `<description>${escapeXml(item.summary)}</description>`,
+    item.author ? `<dc:creator>${escapeXml(item.author)}</dc:creator>` : '',
+    item.category ? `<category>${escapeXml(item.category)}</category>` : '',
+    // The image size is unknown without downloading it; 0 is the accepted placeholder
+    item.image ? `<enclosure url="${escapeXml(item.image.url)}" length="0" type="${item.image.type}"/>` : '',
+    '</item>'
+  ].filter(Boolean).join('\n')),
+  '</channel>',
+  '</rss>',
+  ''
+].join('\n');
+
+/**
+ * Atom 1.0 document, same `channel` as buildRss.
+ */
+const buildAtom = (channel, items) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${LANGUAGE_CODES[channel.language]}">`,
+  `<id>${escapeXml(channel.selfUrl)}</id>`,
+  `<title>${escapeXml(channel.title)}</title>`,
+  `<subtitle>${escapeXml(channel.description)}</subtitle>`,
+  `<updated>${channel.updated.toISOString()}</updated>`,
+  `<link rel="self" type="application/atom+xml" href="${escapeXml(channel.selfUrl)}"/>`,
+  `<link rel="alternate" type="text/html" href="${escapeXml(channel.link)}"/>`,
+  `<author><name>${escapeXml(SITE_NAME)}</name></author>`,
+  ...items.map((item) => [
+    '<entry>',
+    `<id>${escapeXml(item.id)}</id>`,
+    `<title>${escapeXml(item.title)}</title>`,
+    `<link rel="alternate" type="text/html" href="${escapeXml(item.link)}"/>`,
+    `<published>${item.published.toISOString()}</published>`,
+    `<updated>${item.updated.toISOString()}</updated>`,
+    `<summary>${escapeXml(item.summary)}</summary>`,
+    item.author ? `<author><name>${escapeXml(item.author)}</name></author>` : '',
+    item.category ? `<category term="${escapeXml(item.category)}"/>` : '',
+    item.image ? `<link rel="enclosure" type="${item.image.type}" href="${escapeXml(item.image.url)}"/>` : '',
+    '</entry>'
+  ].filter(Boolean).join('\n')),
+  '</feed>',
+  ''
+].join('\n');
+
+module.exports = {
+  SITE_NAME,
+  SITE_DESCRIPTION,
+  FEED_MAX_AGE_SECONDS,
+  cachedFeed,
+  clearFeedCache,
+  escapeXml,
+  postUrl,
+  feedItem,
+  buildRss,
+  buildAtom
+};
@@ -0,0 +1,119 @@
+/**
+ * Login Guard
+ * -----------
+ * Brute-force protection for POST /api/auth/login:
+ *  - per-IP failed attempt counting over a sliding window
+ *  - per-account consecutive failure counter with temporary lockout
+ *  - progressive delay before answering accounts with recent failures
+ *  - an audit trail of attempts (LoginAttempt) for admins
+ */
+
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const { loginProtection } = require('../config/auth.config');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Check whether an IP has exceeded the failed attempt budget.
+ */
+const isIpBlocked = async (ip) => {
+  const { maxIpAttempts, ipWindowMinutes } = loginProtection();
+  const since = new Date(Date.now() - ipWindowMinutes * 60 * 1000);
+
+  const failures = await LoginAttempt.countDocuments({
+    ip,
+    success: false,
+    createdAt: { $gte: since }
+  });
+
+  return failures >= maxIpAttempts;
+};
+
+/**
+ * Wait before evaluating a password, doubling with each previous failure.
+ */
+const applyProgressiveDelay = async (failedAttempts) => {
+  if (!failedAttempts) return;
+
+  const { baseDelayMs, maxDelayMs } = loginProtection();
+  await sleep(Math.min(baseDelayMs * 2 ** (failedAttempts - 1), maxDelayMs));
+};
+
+/**
+ * Store an audit record. Never lets an audit failure break login.
+ */
+const recordAttempt = async (req, { email, user = null, success = false, reason }) => {
+  try {
+    await LoginAttempt.create({
+      email,
+      user: user ? user._id : null,
+      ip: req.ip,
+      userAgent: (req.get('User-Agent') || '').slice(0, 500),
+      success,
+      reason
+    });
+  } catch (error) {
+    console.warn('⚠️ Failed to record login attempt:', error.message);
+  }
+};
+
+/**
+ * Count a failed password for an account and lock it once the limit is hit.
+ * Returns the lock expiry when the account has just been locked.
+ */
+const registerFailure = async (user) => {
+  const { maxAccountAttempts, lockMinutes } = loginProtection();
+
+  // Atomic increment so parallel guesses cannot slip past the limit
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  if (updated && updated.failedLoginAttempts >= maxAccountAttempts) {
+    const lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { lockUntil, failedLoginAttempts: 0 } }
+    );
+    console.warn(`🔒 Account locked after failed logins: ${user.email}`);
+    return lockUntil;
+  }
+
+  return null;
+};
+
+/**
+ * Clear the failure counter after a successful login.
+ */
+const resetFailures = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockUntil) return;
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { failedLoginAttempts: 0, lockUntil: null } }
+  );
+};
+
+/**
+ * Respond 423 for an account that is temporarily locked.
+ */
+const lockedResponse = (res, lockUntil) => {
+  res.set('Retry-After', String(Math.max(Math.ceil((lockUntil - Date.now()) / 1000), 1)));
+  return res.status(423).json({
+    success: false,
+    message: 'Account temporarily locked due to too many failed login attempts. Please try again later.',
+    lockUntil
+  });
+};
+
+module.exports = {
+  isIpBlocked,
+  applyProgressiveDelay,
+  recordAttempt,
+  registerFailure,
+  resetFailures,
+  lockedResponse
+};
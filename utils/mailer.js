@@ -0,0 +1,126 @@
+/**
+ * Mailer
+ * ------
+ * Pluggable mail transport selected with MAIL_TRANSPORT:
+ *  - smtp    → real delivery through nodemailer (production)
+ *  - file    → each message written as JSON to MAIL_FILE_DIR (development/tests)
+ *  - console → message printed to stdout (default outside production)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+let transport = null;
+
+// ============================================================
+// 📮 TRANSPORTS
+// ============================================================
+
+const createSmtpTransport = () => {
+  const smtp = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => smtp.sendMail(message)
+  };
+};
+
+const createFileTransport = () => {
+  const dir = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'tmp', 'mail');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${Math.round(Math.random() * 1e9)}.json`);
+      await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+      return { file };
+    }
+  };
+};
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log('📧 Email (console transport)');
+    console.log(`   To: ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log(message.text);
+    return {};
+  }
+});
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+// Resolve (and memoize) the configured transport
+const getTransport = () => {
+  if (transport) return transport;
+
+  const name = process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+  const factory = transports[name];
+
+  if (!factory) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+
+  transport = factory();
+  return transport;
+};
+
+// Replace the transport, e.g. with an in-memory one in tests
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// ============================================================
+// ✉️ SEND
+// ============================================================
+
+/**
+ * Send an email through the configured transport.
+ * @param {{ to: string, subject: string, text: string, html?: string }} options
+ */
+const sendEmail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'ICT Forum Nepal <no-reply@ictforumnepal.com>',
+    to,
+    subject,
+    text,
+    ...(html && { html })
+  };
+
+  return getTransport().send(message);
+};
+
+// Public URL of the frontend, used to build links inside emails
+const clientUrl = (pathname) => {
+  const base = (process.env.CLIENT_URL || 'http://localhost:5173').replace(/\/+$/, '');
+  return `${base}${pathname}`;
+};
+
+// Public URL of this API server (API_URL, without /api), used for links
+// to feeds and sitemaps that must not depend on the request's Host header
+const apiUrl = (pathname) => {
+  const base = (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+  return `${base}${pathname}`;
+};
+
+module.exports = {
+  sendEmail,
+  setTransport,
+  clientUrl,
+  apiUrl
+};
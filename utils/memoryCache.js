@@ -0,0 +1,69 @@
+/**
+ * In-Memory Cache
+ * ---------------
+ * Small per-process cache with a time-to-live and a size cap (the oldest
+ * entry is evicted first). Each server instance has its own copy, so only
+ * cache values that may be briefly stale.
+ */
+
+/**
+ * Create a cache. `ttlMs` is how long an entry stays fresh, `maxEntries`
+ * how many entries are kept at most.
+ */
+const createMemoryCache = ({ ttlMs, maxEntries = 500 }) => {
+  const entries = new Map();
+  const pending = new Map();
+  // Bumped by clear(), so computations started before it are not stored
+  let generation = 0;
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  };
+
+  const set = (key, value) => {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    return value;
+  };
+
+  /**
+   * Cached value for `key`, computing and storing it with `compute()` on a miss.
+   * Concurrent misses for the same key share one computation.
+   */
+  const wrap = async (key, compute) => {
+    const cached = get(key);
+    if (cached !== undefined) return cached;
+    if (pending.has(key)) return pending.get(key);
+
+    const started = generation;
+    const promise = Promise.resolve()
+      .then(compute)
+      .then((value) => (started === generation ? set(key, value) : value))
+      .finally(() => {
+        if (pending.get(key) === promise) pending.delete(key);
+      });
+    pending.set(key, promise);
+    return promise;
+  };
+
+  return {
+    get,
+    set,
+    wrap,
+    delete: (key) => entries.delete(key),
+    clear: () => {
+      generation += 1;
+      entries.clear();
+      pending.clear();
+    }
+  };
+};
+
+module.exports = { createMemoryCache };
@@ -0,0 +1,114 @@
+/**
+ * Post Analytics
+ * --------------
+ * Deduplicated view counting and the per-day counters behind
+ * GET /api/posts/:id/analytics. Days are UTC.
+ */
+
+const Post = require('../models/Post');
+const PostView = require('../models/PostView');
+const PostDailyStat = require('../models/PostDailyStat');
+const { hashToken } = require('./tokens');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Crawlers, link previews, monitoring and scripted clients
+const BOT_PATTERN = /bot|crawl|spider|slurp|mediapartners|facebookexternalhit|embedly|preview|whatsapp|telegram|curl|wget|python-requests|axios|node-fetch|go-http-client|java\/|headless|phantomjs|lighthouse|pingdom|uptime/i;
+
+/**
+ * Whether a user agent looks automated (a missing user agent counts as one).
+ */
+const isBot = (userAgent) => !userAgent || BOT_PATTERN.test(userAgent);
+
+// A view by the same visitor counts again only after VIEW_DEDUP_MINUTES (default 30)
+const viewWindowMs = () => (parseInt(process.env.VIEW_DEDUP_MINUTES, 10) || 30) * 60 * 1000;
+
+/**
+ * Midnight UTC of the day containing `date`.
+ */
+const dayStart = (date = new Date()) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Parse a YYYY-MM-DD value as midnight UTC of that day, or null.
+ */
+const parseDay = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) return null;
+  const date = new Date(`${value}T00:00:00.000Z`);
+  // Rejects impossible days such as 2026-02-30 instead of rolling them over
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value) ? date : null;
+};
+
+// YYYY-MM-DD of a UTC day
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Atomically add to today's counters of a post, e.g. { views: 1 } or
+ * { 'reactions.like': -1 }. Failures are logged, never thrown: analytics
+ * must not break the request they piggyback on.
+ */
+const recordDailyStats = async (postId, increments, date = new Date()) => {
+  const filter = { post: postId, date: dayStart(date) };
+  try {
+    await PostDailyStat.updateOne(filter, { $inc: increments }, { upsert: true });
+  } catch (error) {
+    // Two first-of-the-day upserts raced; the document exists now
+    if (error.code === 11000) {
+      await PostDailyStat.updateOne(filter, { $inc: increments }).catch(() => {});
+      return;
+    }
+    console.warn('⚠️ Failed to record post analytics:', error.message);
+  }
+};
+
+/**
+ * Count a view of `post` unless it comes from a bot or the same visitor
+ * already viewed it in the current window. Updates `post.views` in memory
+ * to match. Returns whether the view was counted; like recordDailyStats it
+ * never throws, so a tracking failure does not break reading the post.
+ */
+const trackPostView = async (post, req) => {
+  const userAgent = req.get('user-agent') || '';
+  if (isBot(userAgent)) return false;
+
+  // Visitors without a (valid) id yet fall back to IP + user agent
+  const visitorKey = req.visitor && !req.visitor.issued
+    ? req.visitor.key
+    : `ip:${hashToken(`${req.ip}|${userAgent}`)}`;
+
+  const windowMs = viewWindowMs();
+  const bucket = Math.floor(Date.now() / windowMs);
+
+  try {
+    const result = await PostView.updateOne(
+      { post: post._id, visitorKey, bucket },
+      { $setOnInsert: { expiresAt: new Date((bucket + 1) * windowMs) } },
+      { upsert: true }
+    );
+    if (result.upsertedCount !== 1) return false;
+
+    await Post.updateOne({ _id: post._id }, { $inc: { views: 1 } });
+  } catch (error) {
+    // A parallel request from the same visitor recorded this view first
+    if (error.code === 11000) return false;
+    console.warn('⚠️ Failed to record post view:', error.message);
+    return false;
+  }
+
+  await recordDailyStats(post._id, { views: 1 });
+  post.views = (post.views || 0) + 1;
+  return true;
+};
+
+module.exports = {
+  DAY_MS,
+  isBot,
+  dayStart,
+  parseDay,
+  formatDay,
+  recordDailyStats,
+  trackPostView
+};
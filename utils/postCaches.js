@@ -0,0 +1,20 @@
+/**
+ * Post Caches
+ * -----------
+ * Everything cached in memory that is derived from the public posts:
+ * related-post rankings, feeds and sitemaps. Call clearPostCaches() whenever
+ * posts are created, edited, deleted, published or unpublished, or their
+ * tags/categories change.
+ */
+
+const { clearRelatedPostsCache } = require('./relatedPosts');
+const { clearFeedCache } = require('./feeds');
+const { clearSitemapCache } = require('./sitemap');
+
+const clearPostCaches = () => {
+  clearRelatedPostsCache();
+  clearFeedCache();
+  clearSitemapCache();
+};
+
+module.exports = { clearPostCaches };
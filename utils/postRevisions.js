@@ -0,0 +1,101 @@
+/**
+ * Post Revisions
+ * --------------
+ * Records a snapshot of the tracked post fields on every create/update and
+ * compares snapshots field by field.
+ */
+
+const PostRevision = require('../models/PostRevision');
+
+// Post fields tracked in revision history
+const REVISION_FIELDS = [
+  'title_en',
+  'title_np',
+  'content_en',
+  'content_np',
+  'excerpt_en',
+  'excerpt_np',
+  'category',
+  'tags',
+  'image',
+  'featured',
+  'published',
+  'publishAt',
+  'unpublishAt'
+];
+
+// Comparable plain value of a field (dates → ISO strings, arrays copied)
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  return value;
+};
+
+/**
+ * Snapshot of the tracked fields of a post document or plain object.
+ */
+const snapshotPost = (post) => {
+  const source = typeof post.toObject === 'function' ? post.toObject() : post;
+  return REVISION_FIELDS.reduce((snapshot, field) => {
+    snapshot[field] = normalizeValue(source[field]);
+    return snapshot;
+  }, {});
+};
+
+/**
+ * Field-level diff between two snapshots: [{ field, from, to }].
+ */
+const diffSnapshots = (from = {}, to = {}) => {
+  return REVISION_FIELDS
+    .filter((field) => JSON.stringify(from[field] ?? null) !== JSON.stringify(to[field] ?? null))
+    .map((field) => ({
+      field,
+      from: from[field] ?? null,
+      to: to[field] ?? null
+    }));
+};
+
+/**
+ * Record a revision for a post after it was created or changed.
+ * Returns null when an update changed none of the tracked fields.
+ */
+const recordRevision = async (post, { editor = null, action = 'update', restoredFrom = null } = {}) => {
+  const latest = await PostRevision.findOne({ post: post._id }).sort('-revision');
+  const snapshot = snapshotPost(post);
+  const changedFields = latest
+    ? diffSnapshots(latest.snapshot, snapshot).map((change) => change.field)
+    : REVISION_FIELDS.filter((field) => snapshot[field] !== null);
+
+  if (latest && action === 'update' && changedFields.length === 0) {
+    return null;
+  }
+
+  return PostRevision.create({
+    post: post._id,
+    revision: latest ? latest.revision + 1 : 1,
+    action: latest ? action : 'create',
+    editor: editor ? editor._id : null,
+    changedFields,
+    snapshot,
+    restoredFrom
+  });
+};
+
+/**
+ * Record the current state as revision 1 for posts created before revision
+ * history existed, so their pre-edit text is not lost on the first update.
+ */
+const ensureBaselineRevision = async (post) => {
+  const exists = await PostRevision.exists({ post: post._id });
+  if (exists) return null;
+  return recordRevision(post, { action: 'create' });
+};
+
+module.exports = {
+  REVISION_FIELDS,
+  snapshotPost,
+  diffSnapshots,
+  recordRevision,
+  ensureBaselineRevision
+};
@@ -0,0 +1,86 @@
+/**
+ * Post Scheduler
+ * --------------
+ * Applies `publishAt` / `unpublishAt` on posts. The schedule lives in the
+ * posts themselves, so nothing is lost on restart: the first run after boot
+ * catches up on anything that fell due while the server was down.
+ */
+
+const Post = require('../models/Post');
+const { clearPostCaches } = require('./postCaches');
+
+let timer = null;
+
+/**
+ * Publish and unpublish every post whose scheduled time has passed.
+ */
+const runPostSchedule = async (now = new Date()) => {
+  // Publish first so a window missed entirely during downtime still ends unpublished
+  // Only approved posts (or scheduled ones predating the editorial workflow)
+  const published = await Post.updateMany(
+    { published: false, publishAt: { $ne: null, $lte: now }, workflowState: { $in: Post.SCHEDULABLE_STATES } },
+    [
+      {
+        $set: {
+          published: true,
+          workflowState: 'published',
+          publishedAt: { $ifNull: ['$publishedAt', '$publishAt'] },
+          publishAt: null,
+          unpublishedAt: null
+        }
+      }
+    ]
+  );
+
+  // `unpublishedAt` keeps the fact (and time) once `unpublishAt` is cleared
+  const unpublished = await Post.updateMany(
+    { unpublishAt: { $ne: null, $lte: now } },
+    [
+      {
+        $set: {
+          published: false,
+          workflowState: 'draft',
+          unpublishedAt: '$unpublishAt',
+          unpublishAt: null
+        }
+      }
+    ]
+  );
+
+  if (published.modifiedCount || unpublished.modifiedCount) {
+    clearPostCaches();
+    console.log(`⏰ Post scheduler: ${published.modifiedCount} published, ${unpublished.modifiedCount} unpublished`);
+  }
+
+  return {
+    published: published.modifiedCount,
+    unpublished: unpublished.modifiedCount
+  };
+};
+
+/**
+ * Start the periodic scheduler (POST_SCHEDULER_INTERVAL_MS, default 1 minute).
+ */
+const startPostScheduler = () => {
+  if (timer) return;
+
+  const intervalMs = parseInt(process.env.POST_SCHEDULER_INTERVAL_MS, 10) || 60 * 1000;
+  const tick = () => runPostSchedule().catch((error) => {
+    console.error('Post scheduler error:', error.message);
+  });
+
+  tick();
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+};
+
+const stopPostScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  runPostSchedule,
+  startPostScheduler,
+  stopPostScheduler
+};
@@ -0,0 +1,114 @@
+/**
+ * Related Posts
+ * -------------
+ * Ranks other public posts for GET /api/posts/:id/related by shared tags,
+ * same category, textual similarity of the titles and recency. Rankings are
+ * cached per post for RELATED_POSTS_CACHE_SECONDS (default 10 minutes) and
+ * dropped whenever a post is created, edited or deleted.
+ */
+
+const Post = require('../models/Post');
+const { createMemoryCache } = require('./memoryCache');
+const { queryTerms, romanizedTokens } = require('./search');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How many related posts are ranked (and cached) per post
+const MAX_RELATED = 12;
+// Candidates fetched per signal before ranking
+const CANDIDATE_LIMIT = 100;
+
+const WEIGHTS = {
+  tag: 3, // per shared tag
+  category: 2,
+  text: 4, // scaled by the best text score among the candidates
+  recency: 1 // halves every RECENCY_HALF_LIFE_DAYS
+};
+const RECENCY_HALF_LIFE_DAYS = 90;
+
+const cache = createMemoryCache({
+  ttlMs: (parseInt(process.env.RELATED_POSTS_CACHE_SECONDS, 10) || 600) * 1000,
+  maxEntries: 1000
+});
+
+const normalizeTag = (tag) => String(tag || '').trim().toLowerCase();
+
+const publishedOn = (post) => post.publishedAt || post.publishAt || post.createdAt;
+
+/**
+ * Text search terms describing a post: its title words (plus their romanized
+ * forms, which match the romanized Nepali text) and its tags.
+ */
+const similarityTerms = (post) => {
+  const titleTerms = queryTerms(`${post.title_en || ''} ${post.title_np || ''}`);
+  const terms = [...titleTerms, ...titleTerms.flatMap(romanizedTokens), ...(post.tags || [])];
+  return [...new Set(terms.map((term) => String(term).trim()).filter(Boolean))].join(' ');
+};
+
+/**
+ * Rank the related posts of `post` without the cache. Returns
+ * [{ id, score }], best first.
+ */
+const rankRelatedPosts = async (post, now = new Date()) => {
+  const base = { _id: { $ne: post._id }, ...Post.visibleFilter(now) };
+  const fields = 'tags category publishedAt publishAt createdAt';
+  const tags = (post.tags || []).map(normalizeTag).filter(Boolean);
+
+  const shared = [];
+  if (tags.length) shared.push({ tags: { $in: post.tags } });
+  if (post.category) shared.push({ category: post.category });
+
+  const terms = similarityTerms(post);
+  const [byTagOrCategory, byText] = await Promise.all([
+    shared.length
+      ? Post.find({ ...base, $or: shared }).select(fields).sort('-createdAt').limit(CANDIDATE_LIMIT).lean()
+      : [],
+    terms
+      ? Post.find({ ...base, $text: { $search: terms } }, { score: { $meta: 'textScore' } })
+        .select(fields)
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(CANDIDATE_LIMIT)
+        .lean()
+      : []
+  ]);
+
+  const candidates = new Map(byTagOrCategory.map((candidate) => [String(candidate._id), candidate]));
+  const textScores = new Map(byText.map((candidate) => [String(candidate._id), candidate.score || 0]));
+  byText.forEach((candidate) => {
+    if (!candidates.has(String(candidate._id))) candidates.set(String(candidate._id), candidate);
+  });
+  const bestTextScore = Math.max(0, ...textScores.values());
+
+  return [...candidates.entries()]
+    .map(([id, candidate]) => {
+      const sharedTags = new Set((candidate.tags || []).map(normalizeTag).filter((tag) => tags.includes(tag))).size;
+      const ageDays = Math.max(now - new Date(publishedOn(candidate)), 0) / DAY_MS;
+
+      const score = sharedTags * WEIGHTS.tag +
+        (post.category && candidate.category === post.category ? WEIGHTS.category : 0) +
+        (bestTextScore ? (textScores.get(id) || 0) / bestTextScore * WEIGHTS.text : 0) +
+        WEIGHTS.recency * Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+
+      return { id, score: Math.round(score * 1000) / 1000, publishedOn: publishedOn(candidate) };
+    })
+    .sort((a, b) => b.score - a.score || new Date(b.publishedOn) - new Date(a.publishedOn))
+    .slice(0, MAX_RELATED)
+    .map(({ id, score }) => ({ id, score }));
+};
+
+/**
+ * Cached ranking of the related posts of `post` ([{ id, score }], best first).
+ */
+const findRelatedPosts = (post) => cache.wrap(String(post._id), () => rankRelatedPosts(post));
+
+/**
+ * Drop all cached rankings (any post change can move posts in or out of
+ * another post's list).
+ */
+const clearRelatedPostsCache = () => cache.clear();
+
+module.exports = {
+  MAX_RELATED,
+  findRelatedPosts,
+  clearRelatedPostsCache
+};
@@ -0,0 +1,170 @@
+/**
+ * Post Search
+ * -----------
+ * Bilingual full-text search helpers. Nepali text is also indexed in a
+ * romanized, spelling-normalized form (`searchRomanized`), so "bikas",
+ * "vikas" and "विकास" all find the same posts.
+ */
+
+const { transliterate } = require('./slugs');
+
+const SNIPPET_RADIUS = 80;
+const DEVANAGARI = /[\u0900-\u097F]/;
+
+// ============================================================
+// 🔤 ROMANIZED SPELLING NORMALIZATION
+// ============================================================
+
+/**
+ * Collapse the common spelling variants of romanized Nepali to one form:
+ * doubled letters (aa/ee/oo), aspirates (kh, th, bh...), sh/s, v/w/b, f/ph,
+ * z/j and an optional trailing "a" ("nepala" / "nepal").
+ */
+const normalizeRomanizedWord = (word) => word
+  .toLowerCase()
+  .replace(/ee/g, 'i')
+  .replace(/oo/g, 'u')
+  .replace(/(.)\1+/g, '$1')
+  .replace(/chh/g, 'ch')
+  .replace(/([kgjtdpb])h/g, '$1')
+  .replace(/sh/g, 's')
+  .replace(/[vw]/g, 'b')
+  .replace(/f/g, 'p')
+  .replace(/z/g, 'j')
+  .replace(/(.{3,})a$/, '$1');
+
+/**
+ * Normalized romanized tokens of any text (Devanagari is transliterated first).
+ */
+const romanizedTokens = (text) => transliterate(String(text || ''))
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter((word) => word.length > 1)
+  .map(normalizeRomanizedWord);
+
+// Plain text of stored content (posts may contain HTML)
+const stripHtml = (html) => String(html || '')
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Value of the hidden `searchRomanized` field for a post's Nepali fields.
+ */
+const romanizedSearchText = (post) => {
+  const words = romanizedTokens([
+    post.title_np,
+    post.excerpt_np,
+    stripHtml(post.content_np)
+  ].join(' '));
+  return [...new Set(words)].join(' ');
+};
+
+// ============================================================
+// 🔍 QUERY
+// ============================================================
+
+/**
+ * Words of a search query, for highlighting.
+ */
+const queryTerms = (search) => String(search || '')
+  .split(/[\s,.;:!?"'()]+/)
+  // A leading "-" would make MongoDB exclude the term instead of searching for it
+  .map((term) => term.trim().replace(/^-+/, ''))
+  .filter((term) => term.length > 1);
+
+/**
+ * Keys of the categories whose key or English/Nepali name appears in the query.
+ */
+const matchingCategories = (search, categories) => {
+  const query = String(search || '').toLowerCase();
+  return categories
+    .filter(({ key, name_en, name_np }) => [key, name_en, name_np]
+      .some((name) => name && query.includes(name.toLowerCase())))
+    .map(({ key }) => key);
+};
+
+/**
+ * Filter clause for a search: text match on both languages, tags and the
+ * romanized field, or a post in one of `categories` (see
+ * utils/categories.js) named in the query.
+ * (`$text` inside `$or` works because `category` is indexed.)
+ */
+const buildSearchFilter = (search, categories = []) => {
+  const terms = queryTerms(search);
+  const romanized = [...new Set(terms.flatMap(romanizedTokens))];
+  const textSearch = [...new Set([...terms, ...romanized])].join(' ');
+  const matched = matchingCategories(search, categories);
+
+  const clauses = [{ $text: { $search: textSearch } }];
+  if (matched.length) clauses.push({ category: { $in: matched } });
+
+  return clauses.length === 1 ? clauses[0] : { $or: clauses };
+};
+
+// ============================================================
+// ✨ HIGHLIGHTING
+// ============================================================
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Regex matching any query term; Latin terms also match as word prefixes
+// ("educat" → "education"), Devanagari terms anywhere
+const termsPattern = (terms) => {
+  if (!terms.length) return null;
+  const parts = [...terms]
+    .sort((a, b) => b.length - a.length)
+    .map((term) => (DEVANAGARI.test(term) ? escapeRegex(term) : `\\b${escapeRegex(term)}`));
+  return new RegExp(`(${parts.join('|')})`, 'giu');
+};
+
+/**
+ * HTML-escaped text with query terms wrapped in <mark>.
+ */
+const highlight = (text, terms) => {
+  const pattern = termsPattern(terms);
+  const plain = String(text || '');
+  if (!pattern) return escapeHtml(plain);
+
+  return plain
+    .split(pattern)
+    .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+};
+
+/**
+ * Highlighted excerpt of about 2 × SNIPPET_RADIUS characters around the first
+ * query term in `text` (HTML stripped), or its beginning when no term occurs.
+ */
+const snippet = (text, terms) => {
+  const plain = stripHtml(text);
+  const pattern = termsPattern(terms);
+  const match = pattern ? pattern.exec(plain) : null;
+
+  const center = match ? match.index : 0;
+  let start = Math.max(center - SNIPPET_RADIUS, 0);
+  let end = Math.min(center + SNIPPET_RADIUS, plain.length);
+
+  // Don't cut words in half
+  if (start > 0) start = plain.indexOf(' ', start) + 1 || start;
+  if (end < plain.length) end = plain.lastIndexOf(' ', end) > start ? plain.lastIndexOf(' ', end) : end;
+
+  return `${start > 0 ? '… ' : ''}${highlight(plain.slice(start, end), terms)}${end < plain.length ? ' …' : ''}`;
+};
+
+module.exports = {
+  stripHtml,
+  romanizedTokens,
+  romanizedSearchText,
+  queryTerms,
+  buildSearchFilter,
+  highlight,
+  snippet
+};
@@ -0,0 +1,177 @@
+/**
+ * Sitemaps
+ * --------
+ * sitemap.xml for the public frontend: public pages, category listings and
+ * public posts, each with hreflang alternates for its English and Nepali
+ * versions (Nepali URLs add ?lang=np). Above SITEMAP_MAX_URLS URLs
+ * (default and maximum 50,000) /sitemap.xml becomes a sitemap index over
+ * /sitemaps/pages.xml and /sitemaps/posts-<n>.xml. Generated documents are
+ * cached until posts or categories change (see utils/postCaches.js).
+ *
+ * Frontend paths: SITEMAP_PAGES (comma list, default below) and
+ * CLIENT_CATEGORY_PATH (default "/category/:key"); posts use postUrl().
+ * Sitemap index entries point at this server (API_URL, see apiUrl()).
+ *
+ * The <loc> URLs are on the frontend (CLIENT_URL) while the sitemap is
+ * served here, so crawlers only accept it when the frontend's robots.txt
+ * lists it: "Sitemap: <API_URL>/sitemap.xml".
+ */
+
+const Post = require('../models/Post');
+const { clientUrl, apiUrl } = require('./mailer');
+const { postUrl, escapeXml } = require('./feeds');
+const { listCategories } = require('./categories');
+const { createMemoryCache } = require('./memoryCache');
+
+const MAX_URLS_PER_SITEMAP = 50000;
+const DEFAULT_PAGES = ['/', '/news', '/about', '/membership', '/contact'];
+// hreflang codes (ISO 639-1 uses "ne" for Nepali); English is the default version
+const HREFLANG = { en: 'en', np: 'ne' };
+
+const SITEMAPS_KEY = 'sitemaps';
+
+const cache = createMemoryCache({ ttlMs: 60 * 60 * 1000, maxEntries: 1 });
+
+const maxUrls = () => Math.min(parseInt(process.env.SITEMAP_MAX_URLS, 10) || MAX_URLS_PER_SITEMAP, MAX_URLS_PER_SITEMAP);
+
+const publicPages = () => (process.env.SITEMAP_PAGES
+  ? process.env.SITEMAP_PAGES.split(',').map((page) => page.trim()).filter(Boolean)
+  : DEFAULT_PAGES);
+
+const withLanguage = (url, language) => (language === 'np' ? `${url}${url.includes('?') ? '&' : '?'}lang=np` : url);
+
+const categoryUrl = (key, language) => withLanguage(
+  clientUrl((process.env.CLIENT_CATEGORY_PATH || '/category/:key').replace(':key', encodeURIComponent(key))),
+  language
+);
+
+/**
+ * Sitemap entries for a page available in `languages`: one <url> per
+ * language version, each listing all versions as alternates.
+ */
+const localizedEntries = (urlFor, languages, lastmod) => {
+  const alternates = [
+    ...languages.map((language) => ({ hreflang: HREFLANG[language], href: urlFor(language) })),
+    { hreflang: 'x-default', href: urlFor(languages[0]) }
+  ];
+  return languages.map((language) => ({ loc: urlFor(language), lastmod, alternates }));
+};
+
+/**
+ * Entries for the public pages and category listings (lastmod of a category
+ * is the last update of one of its public posts).
+ */
+const pageEntries = async () => {
+  const [categories, latestByCategory] = await Promise.all([
+    listCategories(),
+    Post.aggregate([
+      { $match: Post.visibleFilter() },
+      { $group: { _id: '$category', updatedAt: { $max: '$updatedAt' } } }
+    ])
+  ]);
+  const latest = new Map(latestByCategory.map((row) => [row._id, row.updatedAt]));
+
+  return [
+    ...publicPages().flatMap((page) => localizedEntries((language) => withLanguage(clientUrl(page), language), ['en', 'np'])),
+    ...categories
+      .filter((category) => category.active)
+      .flatMap((category) => localizedEntries(
+        (language) => categoryUrl(category.key, language),
+        ['en', 'np'],
+        latest.get(category.key)
+      ))
+  ];
+};
+
+/**
+ * Entries for all public posts, newest change first. Posts without a
+ * Nepali title only have an English version.
+ */
+const postEntries = async () => {
+  const posts = await Post.find(Post.visibleFilter())
+    .select('slug title_en title_np updatedAt createdAt')
+    .sort('-updatedAt')
+    .lean();
+
+  return posts.flatMap((post) => localizedEntries(
+    (language) => postUrl(post, language),
+    post.title_np && post.title_np.trim() ? ['en', 'np'] : ['en'],
+    post.updatedAt || post.createdAt
+  ));
+};
+
+/**
+ * <urlset> document.
+ */
+const buildUrlset = (entries) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+  ...entries.map((entry) => [
+    '<url>',
+    `<loc>${escapeXml(entry.loc)}</loc>`,
+    entry.lastmod ? `<lastmod>${new Date(entry.lastmod).toISOString()}</lastmod>` : '',
+    // A single version needs no alternates
+    ...(entry.alternates.length > 2
+      ? entry.alternates.map((alt) => `<xhtml:link rel="alternate" hreflang="${alt.hreflang}" href="${escapeXml(alt.href)}"/>`)
+      : []),
+    '</url>'
+  ].filter(Boolean).join('\n')),
+  '</urlset>',
+  ''
+].join('\n');
+
+/**
+ * <sitemapindex> document over [{ loc, lastmod }].
+ */
+const buildSitemapIndex = (sitemaps) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+  ...sitemaps.map((sitemap) => [
+    '<sitemap>',
+    `<loc>${escapeXml(sitemap.loc)}</loc>`,
+    sitemap.lastmod ? `<lastmod>${new Date(sitemap.lastmod).toISOString()}</lastmod>` : '',
+    '</sitemap>'
+  ].filter(Boolean).join('\n')),
+  '</sitemapindex>',
+  ''
+].join('\n');
+
+const latestLastmod = (entries) => entries.reduce(
+  (latest, entry) => (entry.lastmod && (!latest || entry.lastmod > latest) ? entry.lastmod : latest),
+  null
+);
+
+/**
+ * All sitemap documents by name ("sitemap.xml", and when an index is needed
+ * "pages.xml", "posts-1.xml", ...).
+ */
+const generateSitemaps = () => cache.wrap(SITEMAPS_KEY, async () => {
+  const [pages, posts] = await Promise.all([pageEntries(), postEntries()]);
+  const limit = maxUrls();
+
+  if (pages.length + posts.length <= limit) {
+    return new Map([['sitemap.xml', buildUrlset([...pages, ...posts])]]);
+  }
+
+  const documents = new Map([['pages.xml', { entries: pages }]]);
+  for (let i = 0; i * limit < posts.length; i += 1) {
+    documents.set(`posts-${i + 1}.xml`, { entries: posts.slice(i * limit, (i + 1) * limit) });
+  }
+
+  const sitemaps = new Map([...documents].map(([name, { entries }]) => [name, buildUrlset(entries)]));
+  sitemaps.set('sitemap.xml', buildSitemapIndex([...documents].map(([name, { entries }]) => ({
+    loc: apiUrl(`/sitemaps/${name}`),
+    lastmod: latestLastmod(entries)
+  }))));
+  return sitemaps;
+});
+
+/**
+ * Drop the cached sitemaps.
+ */
+const clearSitemapCache = () => cache.clear();
+
+module.exports = {
+  generateSitemaps,
+  clearSitemapCache
+};
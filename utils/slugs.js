@@ -0,0 +1,162 @@
+/**
+ * Post Slugs
+ * ----------
+ * Human-readable URL slugs built from `title_en`, or from a romanized
+ * `title_np` for Nepali-only posts. Old slugs are kept in `slugHistory`
+ * so links keep working after a title change.
+ */
+
+const MAX_SLUG_LENGTH = 80;
+
+// ============================================================
+// 🔤 DEVANAGARI → LATIN
+// ============================================================
+// Simplified Nepali romanization (the spelling people actually type,
+// e.g. "नेपाल" → "nepal"), not a reversible scholarly transliteration.
+
+const CONSONANTS = {
+  'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'ng',
+  'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+  'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+  'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+  'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+  'य': 'y', 'र': 'r', 'ल': 'l', 'ळ': 'l', 'व': 'b',
+  'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h'
+};
+
+const VOWELS = {
+  'अ': 'a', 'आ': 'a', 'इ': 'i', 'ई': 'i', 'उ': 'u', 'ऊ': 'u',
+  'ऋ': 'ri', 'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au'
+};
+
+const VOWEL_SIGNS = {
+  'ा': 'a', 'ि': 'i', 'ी': 'i', 'ु': 'u', 'ू': 'u',
+  'ृ': 'ri', 'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au'
+};
+
+const NASALS = { 'ं': 'n', 'ँ': 'n' };
+const VIRAMA = '्';
+const NUKTA = '़';
+const VISARGA = 'ः';
+const DIGIT_ZERO = 0x0966; // ०
+
+/**
+ * Romanize Devanagari text; anything else passes through unchanged.
+ */
+const transliterate = (text) => {
+  const input = String(text || '').replace(/ज्ञ/g, 'ग्य');
+  let output = '';
+  let pendingVowel = false; // last consonant still carries its inherent "a"
+  let syllables = 0;        // syllables in the current word (for final "a" deletion)
+
+  const flushVowel = () => {
+    if (pendingVowel) output += 'a';
+    pendingVowel = false;
+  };
+
+  for (const char of input) {
+    if (CONSONANTS[char]) {
+      flushVowel();
+      output += CONSONANTS[char];
+      pendingVowel = true;
+      syllables += 1;
+    } else if (VOWEL_SIGNS[char]) {
+      pendingVowel = false;
+      output += VOWEL_SIGNS[char];
+    } else if (VOWELS[char]) {
+      flushVowel();
+      output += VOWELS[char];
+      syllables += 1;
+    } else if (char === VIRAMA) {
+      pendingVowel = false;
+      syllables -= 1;
+    } else if (NASALS[char]) {
+      flushVowel();
+      output += NASALS[char];
+    } else if (char === VISARGA) {
+      flushVowel();
+      output += 'h';
+    } else if (char === NUKTA) {
+      // no Latin equivalent
+    } else {
+      // Word boundary: Nepali drops the inherent "a" at the end of longer words
+      if (pendingVowel && syllables <= 1) output += 'a';
+      pendingVowel = false;
+      syllables = 0;
+
+      const code = char.codePointAt(0);
+      output += code >= DIGIT_ZERO && code <= DIGIT_ZERO + 9
+        ? String(code - DIGIT_ZERO)
+        : char;
+    }
+  }
+
+  if (pendingVowel && syllables <= 1) output += 'a';
+  return output;
+};
+
+// ============================================================
+// 🔗 SLUGS
+// ============================================================
+
+/**
+ * URL-safe slug: lowercase ASCII words joined by dashes, cut at a word
+ * boundary so it stays under MAX_SLUG_LENGTH.
+ */
+const slugify = (text) => {
+  const slug = transliterate(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  if (slug.length <= MAX_SLUG_LENGTH) return slug;
+
+  const cut = slug.slice(0, MAX_SLUG_LENGTH + 1);
+  const lastDash = cut.lastIndexOf('-');
+  return (lastDash > 0 ? cut.slice(0, lastDash) : cut.slice(0, MAX_SLUG_LENGTH)).replace(/-+$/, '');
+};
+
+/**
+ * Slug a post's titles would produce before de-duplication.
+ */
+const baseSlugFor = (post) => slugify(post.title_en) || slugify(post.title_np) || 'post';
+
+// Whether `slug` is `base` or one of its de-duplicated forms (`base-2`, `base-3`, ...)
+const matchesBase = (slug, base) => slug === base || new RegExp(`^${base}-\\d+$`).test(slug);
+
+/**
+ * Work out the slug fields for a post after its titles were set or changed.
+ * `post` may be a document or a plain object with `_id`, titles, `slug` and
+ * `slugHistory`. Returns `{ slug, slugHistory }` or null when nothing changes.
+ * Slugs held (currently or historically) by any other post are never reused.
+ */
+const resolvePostSlug = async (Post, post) => {
+  const base = baseSlugFor(post);
+  if (post.slug && matchesBase(post.slug, base)) return null;
+
+  let slug = base;
+  for (let suffix = 2; ; suffix += 1) {
+    const taken = await Post.exists({
+      _id: { $ne: post._id },
+      $or: [{ slug }, { slugHistory: slug }]
+    });
+    if (!taken) break;
+    slug = `${base}-${suffix}`;
+  }
+
+  const history = (post.slugHistory || []).filter((old) => old !== slug);
+  if (post.slug && !history.includes(post.slug)) history.push(post.slug);
+
+  return { slug, slugHistory: history };
+};
+
+module.exports = {
+  MAX_SLUG_LENGTH,
+  transliterate,
+  slugify,
+  baseSlugFor,
+  resolvePostSlug
+};
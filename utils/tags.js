@@ -0,0 +1,126 @@
+/**
+ * Tag Registry
+ * ------------
+ * Posts keep their tags as display names, but every name goes through the
+ * Tag registry first: spellings that normalize to the same key ("AI", "ai ")
+ * and keys of merged/renamed tags all resolve to one canonical name, so the
+ * names stored on posts stay consistent. Renames, merges and deletions
+ * rewrite the posts (see controllers/tagController.js).
+ */
+
+const Tag = require('../models/Tag');
+const Post = require('../models/Post');
+const { slugify } = require('./slugs');
+
+const DEVANAGARI = /[\u0900-\u097F]/;
+
+/**
+ * Tag name with whitespace tidied up.
+ */
+const cleanTagName = (name) => String(name || '').normalize('NFC').replace(/\s+/g, ' ').trim();
+
+/**
+ * Normalized key of a tag name (lowercase, transliterated, hyphenated).
+ */
+const tagKey = (name) => slugify(cleanTagName(name)) || cleanTagName(name).toLowerCase();
+
+/**
+ * The name stored on posts for a tag.
+ */
+const tagLabel = (tag) => tag.name_en || tag.name_np;
+
+/**
+ * Keys a tag is found by besides its own: merged/renamed keys and the key
+ * of its Nepali name.
+ */
+const tagAliases = (tag) => [...new Set([
+  ...(tag.aliases || []),
+  ...(tag.name_np ? [tagKey(tag.name_np)] : [])
+])].filter((alias) => alias && alias !== tag.key);
+
+/**
+ * Registered tags whose key or one of whose aliases is in `keys`.
+ */
+const findTagsByKeys = (keys) => Tag.find({ $or: [{ key: { $in: keys } }, { aliases: { $in: keys } }] });
+
+/**
+ * Canonical names for a list of tag names (a comma list is split), in the
+ * given order without duplicates. Names not in the registry yet are
+ * registered as new tags (a ValidationError is thrown for invalid names).
+ */
+const resolveTags = async (names) => {
+  const list = (typeof names === 'string' ? names.split(',') : [].concat(names || []))
+    .map(cleanTagName)
+    .filter(Boolean);
+  if (!list.length) return [];
+
+  const keys = list.map(tagKey);
+  const tags = await findTagsByKeys(keys);
+  const byKey = new Map();
+  tags.forEach((tag) => {
+    [tag.key, ...(tag.aliases || [])].forEach((key) => byKey.set(key, tag));
+  });
+
+  const labels = [];
+  for (let i = 0; i < list.length; i += 1) {
+    let tag = byKey.get(keys[i]);
+    if (!tag) {
+      const field = DEVANAGARI.test(list[i]) ? 'name_np' : 'name_en';
+      // Upserts skip the schema validators (name length), so check first;
+      // throws a ValidationError for an invalid name
+      await new Tag({ key: keys[i], [field]: list[i] }).validate();
+      // Upsert so two posts introducing the same tag at once share one entry
+      tag = await Tag.findOneAndUpdate(
+        { key: keys[i] },
+        { $setOnInsert: { key: keys[i], [field]: list[i] } },
+        { upsert: true, new: true }
+      );
+      byKey.set(keys[i], tag);
+    }
+    labels.push(tagLabel(tag));
+  }
+
+  return [...new Set(labels)];
+};
+
+/**
+ * Replace the tag names in `from` with `to` on every post carrying one of
+ * them (`to` = null removes them), keeping each post's tag order and
+ * dropping duplicates. Returns the number of posts changed.
+ */
+const rewritePostTags = async (from, to) => {
+  const names = { $literal: from };
+  const replaced = to === null
+    ? { $filter: { input: '$tags', cond: { $not: [{ $in: ['$$this', names] }] } } }
+    : {
+      $reduce: {
+        input: '$tags',
+        initialValue: [],
+        in: {
+          $let: {
+            vars: { tag: { $cond: [{ $in: ['$$this', names] }, { $literal: to }, '$$this'] } },
+            in: {
+              $cond: [
+                { $in: ['$$tag', '$$value'] },
+                '$$value',
+                { $concatArrays: ['$$value', ['$$tag']] }
+              ]
+            }
+          }
+        }
+      }
+    };
+
+  const result = await Post.updateMany({ tags: { $in: from } }, [{ $set: { tags: replaced } }]);
+  return result.modifiedCount;
+};
+
+module.exports = {
+  cleanTagName,
+  tagKey,
+  tagLabel,
+  tagAliases,
+  findTagsByKeys,
+  resolveTags,
+  rewritePostTags
+};
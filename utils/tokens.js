@@ -0,0 +1,186 @@
+/**
+ * Token Helpers
+ * -------------
+ * Short-lived JWT access tokens + rotating opaque refresh tokens.
+ *  - Each login opens a Session (the refresh-token family).
+ *  - Access tokens carry the session id (`sid`) so `protect` can reject
+ *    tokens whose session was revoked.
+ *  - Refreshing consumes the presented refresh token and issues a new one;
+ *    presenting an already-consumed token revokes the whole family.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+
+// Read lazily so values loaded by dotenv after this module is required still apply
+const accessTokenExpire = () => process.env.JWT_EXPIRE || '15m';
+const refreshTokenExpireDays = () => parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+
+// SHA-256 hex digest used to store tokens at rest
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Sign an access token bound to a session
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: accessTokenExpire()
+  });
+};
+
+// Short-lived token proving the password step passed while a TOTP code is pending.
+// It carries no session id, so `protect` never accepts it as an access token.
+const generateTwoFactorChallenge = (userId) => {
+  return jwt.sign({ id: userId, purpose: '2fa' }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m'
+  });
+};
+
+// Decode a 2FA challenge token, returning the user id or null
+const verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Create and persist a new refresh token for a session
+const issueRefreshToken = async (session) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  await RefreshToken.create({
+    session: session._id,
+    user: session.user,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: session.expiresAt
+  });
+
+  return refreshToken;
+};
+
+// Build an error the global handler (and controllers) understand
+const tokenError = (message, statusCode = 401) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Client details stored with a session
+const clientInfo = (req) => ({
+  userAgent: req ? (req.get('User-Agent') || '').slice(0, 500) : '',
+  ip: req ? req.ip || '' : ''
+});
+
+/**
+ * Open a new session for a user and issue its first token pair.
+ */
+const createSession = async (user, req) => {
+  const session = await Session.create({
+    user: user._id,
+    ...clientInfo(req),
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + refreshTokenExpireDays() * 24 * 60 * 60 * 1000)
+  });
+
+  const refreshToken = await issueRefreshToken(session);
+
+  return {
+    session,
+    token: generateAccessToken(user._id, session._id),
+    refreshToken
+  };
+};
+
+/**
+ * Revoke a session and every refresh token in its family.
+ */
+const revokeSession = async (sessionId, reason = 'logout') => {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  await RefreshToken.deleteMany({ session: sessionId });
+};
+
+/**
+ * Revoke every active session of a user (e.g. after a password change),
+ * optionally keeping the session the request was made from.
+ */
+const revokeUserSessions = async (userId, reason = 'logout', exceptSessionId = null) => {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  const sessions = await Session.find(query).select('_id');
+  await Promise.all(sessions.map((session) => revokeSession(session._id, reason)));
+  return sessions.length;
+};
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * Throws an error carrying `statusCode` when the token cannot be used.
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  if (!refreshToken) {
+    throw tokenError('Refresh token is required', 400);
+  }
+
+  // Atomically consume the token so two concurrent refreshes cannot both succeed
+  const tokenHash = hashToken(refreshToken);
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+
+  if (!stored) {
+    // A consumed token being presented again means it leaked: kill the family
+    const reused = await RefreshToken.findOne({ tokenHash });
+    if (reused) {
+      await revokeSession(reused.session, 'reuse');
+      console.warn('⚠️ Refresh token reuse detected, session revoked:', reused.session.toString());
+    }
+    throw tokenError('Invalid refresh token');
+  }
+
+  const session = await Session.findById(stored.session);
+  if (!session || !session.isActive() || stored.expiresAt <= new Date()) {
+    throw tokenError('Session has expired or been revoked');
+  }
+
+  const newRefreshToken = await issueRefreshToken(session);
+
+  session.lastSeenAt = new Date();
+  if (req) session.ip = clientInfo(req).ip;
+  await session.save();
+
+  return {
+    session,
+    token: generateAccessToken(session.user, session._id),
+    refreshToken: newRefreshToken
+  };
+};
+
+/**
+ * Record activity on a session, at most once per minute to limit writes.
+ */
+const touchSession = async (session, req) => {
+  if (session.lastSeenAt && Date.now() - session.lastSeenAt.getTime() < 60 * 1000) return;
+
+  await Session.updateOne(
+    { _id: session._id },
+    { $set: { lastSeenAt: new Date(), ip: clientInfo(req).ip } }
+  );
+};
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  createSession,
+  revokeSession,
+  revokeUserSessions,
+  rotateRefreshToken,
+  touchSession
+};
@@ -0,0 +1,18 @@
+/**
+ * Validation Errors
+ * -----------------
+ * Mongoose ValidationErrors are the client's fault: controllers answer them
+ * with 400 and the validators' messages instead of a generic 500.
+ */
+
+/**
+ * Send a Mongoose validation error as 400.
+ */
+const sendValidationError = (res, error) => res.status(400).json({
+  success: false,
+  message: Object.values(error.errors).map((err) => err.message).join(', ')
+});
+
+module.exports = {
+  sendValidationError
+};
@@ -0,0 +1,40 @@
+/**
+ * Anonymous Visitor Ids
+ * ---------------------
+ * Random ids handed to visitors without an account and signed with
+ * VISITOR_ID_SECRET (falls back to JWT_SECRET), so a client can keep its
+ * id but cannot forge someone else's. Format: `<id>.<signature>`.
+ */
+
+const crypto = require('crypto');
+
+const secret = () => process.env.VISITOR_ID_SECRET || process.env.JWT_SECRET;
+
+const sign = (id) => crypto.createHmac('sha256', secret()).update(id).digest('base64url');
+
+/**
+ * Issue a new signed visitor id.
+ */
+const issueVisitorId = () => {
+  const id = crypto.randomBytes(16).toString('base64url');
+  return `${id}.${sign(id)}`;
+};
+
+/**
+ * Return the unsigned id if the signature is valid, null otherwise.
+ */
+const verifyVisitorId = (value) => {
+  const [id, signature] = String(value || '').split('.');
+  if (!id || !signature) return null;
+
+  const expected = Buffer.from(sign(id));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  return id;
+};
+
+module.exports = {
+  issueVisitorId,
+  verifyVisitorId
+};